@@ -0,0 +1,130 @@
+// Device profile catalog admin page
+
+function showMessage(text, type = "success") {
+  const message = document.getElementById("profile-message");
+  message.textContent = text;
+  message.className = `admin-message ${type}`;
+}
+
+// Helper: call the admin API and turn error responses into exceptions
+async function adminRequest(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Server responded with ${res.status}`);
+  return data;
+}
+
+const parseTags = (text) => text.split(",").map((t) => t.trim().toLowerCase()).filter(Boolean);
+
+async function loadProfiles() {
+  const tbody = document.getElementById("profiles-tbody");
+  try {
+    const profiles = await adminRequest("/admin/device-profiles");
+    if (profiles.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="7" class="empty-state">No device profiles in the catalog</td></tr>`;
+      return;
+    }
+    tbody.innerHTML = profiles.map((profile) => {
+      const encodedName = encodeURIComponent(profile.name);
+      const { width, height, deviceScaleFactor, hasTouch } = profile.viewport;
+      return `
+      <tr class="${profile.enabled ? "" : "row-disabled"}">
+        <td><strong>${escapeHtml(profile.name)}</strong></td>
+        <td>${profile.type === "mobile" ? "📱 Mobile" : "🖥️ Desktop"}</td>
+        <td>
+          <input type="text" class="tags-input" value="${escapeHtml(profile.tags.join(", "))}"
+            onchange="updateTags('${encodedName}', this.value)">
+        </td>
+        <td><span class="url-text" title="${escapeHtml(profile.userAgent)}">${escapeHtml(profile.userAgent)}</span>
+          ${profile.clientHints ? `<br><small>Client hints: ${escapeHtml(profile.clientHints.platform)}</small>` : ""}</td>
+        <td>${width}×${height} @${deviceScaleFactor}x${hasTouch ? " 👆" : ""}</td>
+        <td>
+          <input type="checkbox" ${profile.enabled ? "checked" : ""}
+            onchange="toggleEnabled('${encodedName}', this.checked)">
+        </td>
+        <td>
+          <button class="admin-btn danger small" onclick="removeProfile('${encodedName}')">🗑️ Remove</button>
+        </td>
+      </tr>
+    `;
+    }).join("");
+  } catch (err) {
+    tbody.innerHTML = `<tr><td colspan="7" class="empty-state">⚠️ Failed to load profiles: ${escapeHtml(err.message)}</td></tr>`;
+  }
+}
+
+async function updateProfile(encodedName, changes, successText) {
+  try {
+    await adminRequest(`/admin/device-profiles/${encodedName}`, {
+      method: "PUT",
+      body: JSON.stringify(changes),
+    });
+    showMessage(successText);
+  } catch (err) {
+    showMessage(`❌ ${err.message}`, "error");
+  }
+  loadProfiles();
+}
+
+function toggleEnabled(encodedName, enabled) {
+  const name = decodeURIComponent(encodedName);
+  updateProfile(encodedName, { enabled }, `✅ ${name} is now ${enabled ? "enabled" : "disabled"}`);
+}
+
+function updateTags(encodedName, text) {
+  updateProfile(encodedName, { tags: parseTags(text) }, `✅ Updated tags of ${decodeURIComponent(encodedName)}`);
+}
+
+async function removeProfile(encodedName) {
+  const name = decodeURIComponent(encodedName);
+  if (!confirm(`Remove device profile "${name}"? Disabling keeps it for later.`)) return;
+  try {
+    await adminRequest(`/admin/device-profiles/${encodedName}`, { method: "DELETE" });
+    showMessage(`✅ Removed ${name}`);
+  } catch (err) {
+    showMessage(`❌ ${err.message}`, "error");
+  }
+  loadProfiles();
+}
+
+document.getElementById("profile-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const value = (id) => document.getElementById(id).value.trim();
+
+  let clientHints = null;
+  if (value("profile-hints")) {
+    try {
+      clientHints = JSON.parse(value("profile-hints"));
+    } catch (err) {
+      showMessage(`❌ Client hints are not valid JSON: ${err.message}`, "error");
+      return;
+    }
+  }
+
+  const entry = {
+    name: value("profile-name"),
+    type: value("profile-type"),
+    tags: parseTags(value("profile-tags")),
+    platform: value("profile-platform"),
+    userAgent: value("profile-ua"),
+    clientHints,
+    viewport: {
+      width: value("profile-width") ? Number(value("profile-width")) : undefined,
+      height: value("profile-height") ? Number(value("profile-height")) : undefined,
+      deviceScaleFactor: value("profile-scale") ? Number(value("profile-scale")) : undefined,
+    },
+  };
+  try {
+    await adminRequest("/admin/device-profiles", { method: "POST", body: JSON.stringify(entry) });
+    showMessage(`✅ Added ${entry.name}`);
+    e.target.reset();
+    loadProfiles();
+  } catch (err) {
+    showMessage(`❌ ${err.message}`, "error");
+  }
+});
+
+loadProfiles();
@@ -0,0 +1,51 @@
+// Domain allowlist/denylist admin page
+
+function showMessage(text, type = "success") {
+  const message = document.getElementById("policy-message");
+  message.textContent = text;
+  message.className = `admin-message ${type}`;
+}
+
+// Helper: call the admin API and turn error responses into exceptions
+async function adminRequest(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Server responded with ${res.status}`);
+  return data;
+}
+
+function renderPolicy(policy) {
+  document.getElementById("policy-allow").value = policy.allow.join("\n");
+  document.getElementById("policy-deny").value = policy.deny.join("\n");
+  document.getElementById("private-note").textContent = policy.allowPrivateTargets
+    ? " (⚠️ except right now: ALLOW_PRIVATE_TARGETS is on)"
+    : "";
+}
+
+async function loadPolicy() {
+  try {
+    renderPolicy(await adminRequest("/admin/domain-policy"));
+  } catch (err) {
+    showMessage(`⚠️ Failed to load domain policy: ${err.message}`, "error");
+  }
+}
+
+document.getElementById("policy-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const lines = (id) => document.getElementById(id).value.split("\n").map((line) => line.trim()).filter(Boolean);
+  try {
+    const policy = await adminRequest("/admin/domain-policy", {
+      method: "PUT",
+      body: JSON.stringify({ allow: lines("policy-allow"), deny: lines("policy-deny") }),
+    });
+    renderPolicy(policy);
+    showMessage("✅ Domain policy saved");
+  } catch (err) {
+    showMessage(`❌ ${err.message}`, "error");
+  }
+});
+
+loadPolicy();
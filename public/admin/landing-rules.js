@@ -0,0 +1,73 @@
+// Landing page health rules admin page
+
+const SECTIONS = [
+  { status: "parked", title: "🅿️ Parked domains" },
+  { status: "expired", title: "⌛ Expired offers" },
+  { status: "broken", title: "🔴 Broken pages (soft 404s)" },
+];
+const FIELDS = [
+  { field: "keywords", label: "Keywords (page text)" },
+  { field: "titlePatterns", label: "Title patterns (regex)" },
+  { field: "signatures", label: "Signatures (HTML)" },
+];
+
+function showMessage(text, type = "success") {
+  const message = document.getElementById("rules-message");
+  message.textContent = text;
+  message.className = `admin-message ${type}`;
+}
+
+// Helper: call the admin API and turn error responses into exceptions
+async function adminRequest(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Server responded with ${res.status}`);
+  return data;
+}
+
+function renderRules(rules) {
+  document.getElementById("rules-sections").innerHTML = SECTIONS.map(({ status, title }) => `
+    <div class="section">
+      <h2 class="section-title">${title}</h2>
+      <div class="admin-form">
+        ${FIELDS.map(({ field, label }) => `
+        <div class="wide-field">
+          <label for="${status}-${field}">${label}</label>
+          <textarea id="${status}-${field}" rows="5">${escapeHtml(rules[status][field].join("\n"))}</textarea>
+        </div>`).join("")}
+      </div>
+    </div>
+  `).join("");
+}
+
+async function loadRules() {
+  try {
+    renderRules(await adminRequest("/admin/landing-rules"));
+  } catch (err) {
+    document.getElementById("rules-sections").innerHTML =
+      `<div class="section"><div class="empty-state">⚠️ Failed to load rules: ${escapeHtml(err.message)}</div></div>`;
+  }
+}
+
+document.getElementById("rules-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const lines = (id) => document.getElementById(id).value.split("\n").map((line) => line.trim()).filter(Boolean);
+  const rules = {};
+  SECTIONS.forEach(({ status }) => {
+    rules[status] = {};
+    FIELDS.forEach(({ field }) => {
+      rules[status][field] = lines(`${status}-${field}`);
+    });
+  });
+  try {
+    renderRules(await adminRequest("/admin/landing-rules", { method: "PUT", body: JSON.stringify(rules) }));
+    showMessage("✅ Landing page rules saved");
+  } catch (err) {
+    showMessage(`❌ ${err.message}`, "error");
+  }
+});
+
+loadRules();
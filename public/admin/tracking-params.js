@@ -0,0 +1,90 @@
+// Tracking parameter registry admin page
+
+function showMessage(text, type = "success") {
+  const message = document.getElementById("param-message");
+  message.textContent = text;
+  message.className = `admin-message ${type}`;
+}
+
+// Helper: call the admin API and turn error responses into exceptions
+async function adminRequest(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Server responded with ${res.status}`);
+  return data;
+}
+
+async function loadParams() {
+  const tbody = document.getElementById("params-tbody");
+  try {
+    const params = await adminRequest("/admin/tracking-params");
+    if (params.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="5" class="empty-state">No tracking parameters registered</td></tr>`;
+      return;
+    }
+    tbody.innerHTML = params.map((param) => `
+      <tr>
+        <td><span class="url-text">${escapeHtml(param.name)}</span></td>
+        <td>${param.aliases.map((alias) => `<span class="url-text">${escapeHtml(alias)}</span>`).join(", ") || "—"}</td>
+        <td>${param.network ? `<span class="region-badge">${escapeHtml(param.network)}</span>` : "—"}</td>
+        <td>
+          <input type="checkbox" ${param.required ? "checked" : ""}
+            onchange="toggleRequired('${encodeURIComponent(param.name)}', this.checked)">
+        </td>
+        <td>
+          <button class="admin-btn danger small" onclick="removeParam('${encodeURIComponent(param.name)}')">🗑️ Remove</button>
+        </td>
+      </tr>
+    `).join("");
+  } catch (err) {
+    tbody.innerHTML = `<tr><td colspan="5" class="empty-state">⚠️ Failed to load parameters: ${escapeHtml(err.message)}</td></tr>`;
+  }
+}
+
+async function toggleRequired(encodedName, required) {
+  try {
+    await adminRequest(`/admin/tracking-params/${encodedName}`, {
+      method: "PUT",
+      body: JSON.stringify({ required }),
+    });
+    showMessage(`✅ ${decodeURIComponent(encodedName)} is now ${required ? "required" : "optional"}`);
+  } catch (err) {
+    showMessage(`❌ ${err.message}`, "error");
+  }
+  loadParams();
+}
+
+async function removeParam(encodedName) {
+  const name = decodeURIComponent(encodedName);
+  if (!confirm(`Remove tracking parameter "${name}"?`)) return;
+  try {
+    await adminRequest(`/admin/tracking-params/${encodedName}`, { method: "DELETE" });
+    showMessage(`✅ Removed ${name}`);
+  } catch (err) {
+    showMessage(`❌ ${err.message}`, "error");
+  }
+  loadParams();
+}
+
+document.getElementById("param-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const entry = {
+    name: document.getElementById("param-name").value.trim(),
+    aliases: document.getElementById("param-aliases").value.split(",").map((a) => a.trim()).filter(Boolean),
+    network: document.getElementById("param-network").value.trim() || null,
+    required: document.getElementById("param-required").checked,
+  };
+  try {
+    await adminRequest("/admin/tracking-params", { method: "POST", body: JSON.stringify(entry) });
+    showMessage(`✅ Added ${entry.name}`);
+    e.target.reset();
+    loadParams();
+  } catch (err) {
+    showMessage(`❌ ${err.message}`, "error");
+  }
+});
+
+loadParams();
@@ -91,6 +91,8 @@ function loadCampaigns() {
 //detect location as soon as window load
 window.onload = function () {
   loadCampaigns();
+  loadDeviceProfileOptions();
+  loadMonitors();
 
   // Set default sorting to newest first
   document.getElementById("sortDate").value = "newest";
@@ -100,6 +102,47 @@ window.onload = function () {
   //setTimeout(detectLocation, 1000);
 };
 
+// Fill the ua-type select from the device profile catalog; the static options stay if the catalog can't load
+async function loadDeviceProfileOptions() {
+  const select = document.getElementById("ua-type");
+  if (!select) return;
+  try {
+    const res = await fetch("/device-profiles");
+    if (!res.ok) throw new Error(`Server responded with ${res.status}`);
+    const { modes, tags, profiles } = await res.json();
+
+    const modeLabels = { random: "🔄 Rotating UA", desktop: "🖥️ Desktop", mobile: "📱 Mobile" };
+    const option = (value, label) => {
+      const el = document.createElement("option");
+      el.value = value;
+      el.textContent = label;
+      return el;
+    };
+    const group = (label, options) => {
+      const el = document.createElement("optgroup");
+      el.label = label;
+      options.forEach((o) => el.appendChild(o));
+      return el;
+    };
+
+    const selected = select.value || "random";
+    select.innerHTML = `<option value="" disabled>Select User-Agent Type</option>`;
+    modes.forEach((mode) => select.appendChild(option(mode, modeLabels[mode] || mode)));
+    if (tags.length) {
+      select.appendChild(group("Rotate within tag", tags.map((tag) => option(`tag:${tag}`, `🏷️ ${tag}`))));
+    }
+    ["mobile", "desktop"].forEach((type) => {
+      const ofType = profiles.filter((p) => p.type === type);
+      if (ofType.length) {
+        select.appendChild(group(type === "mobile" ? "Mobile Devices" : "Desktop Devices", ofType.map((p) => option(p.name, p.name))));
+      }
+    });
+    select.value = [...select.options].some((o) => o.value === selected) ? selected : "random";
+  } catch (err) {
+    console.error("❌ Failed to load device profiles:", err.message);
+  }
+}
+
 function saveCampaigns() {
   localStorage.setItem("campaigns", JSON.stringify(campaigns));
 }
@@ -126,8 +169,57 @@ function isValidURL(str) {
   }
 }
 
-async function resolveFinalUrl(inputUrl, region = "US", uaType = "random") {
-    const fallback = "Error resolving";
+// Read the page settle strategy from the form; the single value field means something different per strategy
+function readSettleForm() {
+  const strategySelect = document.getElementById("settle-strategy");
+  const strategy = strategySelect ? strategySelect.value : "dom";
+  if (!strategy || strategy === "dom") return null;
+
+  const value = document.getElementById("settle-value").value.trim();
+  const settle = { strategy };
+  if (strategy === "selector") settle.selector = value;
+  if (strategy === "url-match") settle.urlPattern = value;
+  if (strategy === "url-stable" && value) settle.stableMs = Number(value);
+  if (strategy === "network-idle" && value) settle.idleMs = Number(value);
+  return settle;
+}
+
+// Update the value field hint when the settle strategy changes
+function onSettleStrategyChange() {
+  const strategy = document.getElementById("settle-strategy").value;
+  const valueInput = document.getElementById("settle-value");
+  const placeholders = {
+    "network-idle": "Idle time in ms (default 500)",
+    "url-stable": "Stable time in ms (default 2000)",
+    selector: "CSS selector, e.g. #checkout",
+    "url-match": "URL contains, * for anything, e.g. merchant.com/*/landing",
+  };
+  valueInput.disabled = !placeholders[strategy];
+  valueInput.placeholder = placeholders[strategy] || "Not needed";
+  valueInput.value = "";
+}
+
+async function resolveFinalUrl(inputUrl, region = "US", uaType = "random", options = {}) {
+  const { finalUrl } = await resolveCampaignUrl(inputUrl, region, uaType, options);
+  return finalUrl;
+}
+
+// Per-campaign resolve options, saved with the campaign and reused on every refresh
+function campaignResolveOptions(campaign) {
+  return {
+    settle: campaign.settle || null,
+    strictRegion: Boolean(campaign.strictRegion),
+    cacheTtl: campaign.cacheTtl,
+    intercept: campaign.intercept || null,
+  };
+}
+
+// Like resolveFinalUrl, but also hands back the full /resolve result (params report etc.).
+// options: settle, strictRegion, cacheTtl (seconds a recent identical resolution may be reused, null = server default),
+// fresh (skip the cache) and intercept (interception preset, null = server default)
+async function resolveCampaignUrl(inputUrl, region = "US", uaType = "random", options = {}) {
+    const { settle = null, strictRegion = false, cacheTtl = null, fresh = false, intercept = null } = options;
+    const fallback = { finalUrl: "Error resolving", result: null };
   
     try {
       if (!inputUrl || typeof inputUrl !== "string") {
@@ -154,6 +246,16 @@ async function resolveFinalUrl(inputUrl, region = "US", uaType = "random") {
         region: selectedRegion,
         uaType: selectedUaType
       });
+      if (strictRegion) params.set("strictRegion", "true");
+      if (cacheTtl !== null && cacheTtl !== undefined) params.set("cacheTtl", String(cacheTtl));
+      if (fresh) params.set("fresh", "true");
+      if (intercept) params.set("intercept", intercept);
+      if (settle && settle.strategy) {
+        params.set("settle", settle.strategy);
+        ["idleMs", "stableMs", "selector", "urlPattern", "maxHops", "maxDuration"].forEach((key) => {
+          if (settle[key] !== undefined && settle[key] !== null && settle[key] !== "") params.set(key, settle[key]);
+        });
+      }
   
       const requestUrl = `/resolve?${params.toString()}`;
       // console.log(`🌐 Fetching with region [${selectedRegion}]:`, requestUrl);
@@ -170,7 +272,16 @@ async function resolveFinalUrl(inputUrl, region = "US", uaType = "random") {
         if (data.regionMatch !== undefined) {
           console.log(`🔍 Region verification: Requested [${data.requestedRegion}] vs Actual [${data.actualRegion}] - ${data.regionMatch ? '✅ REGION MATCHED' : '❌ REGION MISMATCH'}`);
         }
-        return data.finalUrl;
+        if (data.network) {
+          console.log(`📦 Page cost with [${data.network.preset}]: ${data.network.requests} requests, ${data.network.blocked} blocked, ${(data.network.bytes / 1024).toFixed(1)} KB`);
+        }
+        if (data.coalesced) {
+          console.log(`🤝 Shared an in-flight resolution of the same URL and region`);
+        }
+        return { finalUrl: data.finalUrl, result: data };
+      } else if (data?.blocked) {
+        console.warn(`⛔ Blocked by the domain policy at ${data.blocked.url}: ${data.blocked.reason}`);
+        return fallback;
       } else {
         console.warn("⚠️ No finalUrl in response");
         return fallback;
@@ -181,6 +292,343 @@ async function resolveFinalUrl(inputUrl, region = "US", uaType = "random") {
     }
 }
 
+// Copy the per-resolution details we show in the table onto a campaign
+function applyResolutionDetails(campaign, result) {
+  if (!result) return;
+  campaign.trackingParams = result.trackingParams || [];
+  campaign.affiliate = result.affiliate || null;
+  campaign.deviceProfile = result.deviceProfile ? result.deviceProfile.name : null;
+  campaign.landingStatus = result.landingStatus || null;
+  campaign.landingReason = result.landingCheck ? result.landingCheck.reason : null;
+}
+
+// Landing page health badge next to the final URL; healthy pages don't need one
+function renderLandingStatus(campaign) {
+  const labels = { broken: "🔴 Broken landing", parked: "🅿️ Parked domain", expired: "⌛ Expired offer" };
+  if (!labels[campaign.landingStatus]) return "";
+  const reason = (campaign.landingReason || "").replace(/"/g, "&quot;");
+  return `<span class="landing-badge landing-${campaign.landingStatus}" title="${reason}">${labels[campaign.landingStatus]}</span>`;
+}
+
+// Server-side monitors of campaigns, by monitor id (see loadMonitors)
+const monitors = {};
+const MONITOR_INTERVALS = [
+  { value: "", label: "⏸️ Not monitored" },
+  { value: 60, label: "⏰ Hourly" },
+  { value: 360, label: "⏰ Every 6h" },
+  { value: 1440, label: "⏰ Daily" },
+];
+const MONITOR_FLAG_LABELS = {
+  resolution_failed: "❌ Stopped resolving",
+  broken_landing: "🔴 Landing broke",
+  new_domain: "🌐 New domain",
+  lost_clickid: "⚠️ Lost clickid",
+  lost_params: "⚠️ Lost params",
+  final_url_changed: "🔀 Final URL changed",
+  recovered: "✅ Recovered",
+};
+
+// What the server needs to re-resolve a campaign the way the page does
+function monitorBody(campaign) {
+  const { settle, strictRegion, intercept } = campaignResolveOptions(campaign);
+  return {
+    url: campaign.url,
+    region: campaign.country || "US",
+    uaType: campaign.uaType || "random",
+    tags: campaign.tags || "",
+    options: { settle, strictRegion, intercept },
+  };
+}
+
+async function monitorRequest(path, method = "GET", body) {
+  const res = await fetch(path, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Server responded with ${res.status}`);
+  return data;
+}
+
+// Pull the monitors and copy what their latest checks found onto the campaigns
+async function loadMonitors() {
+  try {
+    const res = await fetch("/monitors");
+    if (res.status === 401) return; // monitoring needs a login
+    if (!res.ok) throw new Error(`Server responded with ${res.status}`);
+    (await res.json()).forEach((monitor) => (monitors[monitor.id] = monitor));
+  } catch (err) {
+    console.error("❌ Failed to load campaign monitors:", err.message);
+    return;
+  }
+
+  campaigns.forEach((campaign) => {
+    if (!campaign.monitorId) return;
+    const monitor = monitors[campaign.monitorId];
+    if (!monitor) {
+      // Removed on the server (or by another browser)
+      delete campaign.monitorId;
+      delete campaign.monitorInterval;
+      return;
+    }
+    syncFromMonitor(campaign, monitor);
+  });
+  renderTable();
+  saveCampaigns();
+}
+
+// A scheduled check newer than the campaign's last resolution replaces its final URL and landing status
+function syncFromMonitor(campaign, monitor) {
+  const last = monitor.last;
+  if (!last || (campaign.monitorSyncedAt && campaign.monitorSyncedAt >= last.checkedAt)) return;
+  campaign.finalUrl = last.finalUrl || "Error resolving";
+  campaign.landingStatus = last.landingStatus;
+  campaign.landingReason = null;
+  campaign.date = formatDate(last.checkedAt);
+  campaign.monitorSyncedAt = last.checkedAt;
+}
+
+async function setMonitorInterval(id, value) {
+  const campaign = campaigns.find((c) => c.id === id);
+  if (!campaign) return;
+  try {
+    if (!value) {
+      if (campaign.monitorId) await monitorRequest(`/monitors/${campaign.monitorId}`, "DELETE");
+      delete monitors[campaign.monitorId];
+      delete campaign.monitorId;
+      delete campaign.monitorInterval;
+      showNotification("⏸️ Campaign is no longer monitored.", "info");
+    } else if (campaign.monitorId) {
+      const monitor = await monitorRequest(`/monitors/${campaign.monitorId}`, "PUT", { intervalMinutes: Number(value) });
+      monitors[monitor.id] = monitor;
+      campaign.monitorInterval = monitor.intervalMinutes;
+    } else {
+      const monitor = await monitorRequest("/monitors", "POST", { ...monitorBody(campaign), intervalMinutes: Number(value) });
+      monitors[monitor.id] = monitor;
+      campaign.monitorId = monitor.id;
+      campaign.monitorInterval = monitor.intervalMinutes;
+      showNotification("⏰ Campaign is monitored now, changes show up on the Campaign Changes page.", "success");
+    }
+  } catch (err) {
+    showNotification(`❌ ${err.message}`, "error");
+  }
+  renderTable();
+  saveCampaigns();
+}
+
+// Keep the server-side copy in step after the URL, country or tags are edited
+async function updateMonitorFromCampaign(campaign) {
+  if (!campaign.monitorId) return;
+  try {
+    monitors[campaign.monitorId] = await monitorRequest(`/monitors/${campaign.monitorId}`, "PUT", monitorBody(campaign));
+  } catch (err) {
+    console.error("❌ Failed to update campaign monitor:", err.message);
+  }
+}
+
+async function acknowledgeMonitorFlags(id) {
+  const campaign = campaigns.find((c) => c.id === id);
+  if (!campaign || !campaign.monitorId) return;
+  try {
+    monitors[campaign.monitorId] = await monitorRequest(`/monitors/${campaign.monitorId}/acknowledge`, "POST");
+    renderTable();
+  } catch (err) {
+    showNotification(`❌ ${err.message}`, "error");
+  }
+}
+
+// Change flags the scheduler raised since someone last acknowledged them
+function renderMonitorFlags(campaign) {
+  const monitor = monitors[campaign.monitorId];
+  if (!monitor || monitor.flags.length === 0) return "";
+  const badges = monitor.flags
+    .map((flag) => `<span class="monitor-flag monitor-${flag}">${MONITOR_FLAG_LABELS[flag] || flag}</span>`)
+    .join("");
+  return `
+    <div class="monitor-flags">
+      ${badges}
+      <button class="copy-btn" onclick="acknowledgeMonitorFlags(${campaign.id})" title="Mark these changes as seen">👁️ Ack</button>
+    </div>
+  `;
+}
+
+function renderMonitorSelect(campaign) {
+  const current = campaign.monitorId ? String(campaign.monitorInterval) : "";
+  const known = MONITOR_INTERVALS.some((o) => String(o.value) === current);
+  const options = known ? MONITOR_INTERVALS : [...MONITOR_INTERVALS, { value: current, label: `⏰ Every ${current} min` }];
+  return `
+    <select class="monitor-select" onchange="setMonitorInterval(${campaign.id}, this.value)" title="Re-check this campaign on the server">
+      ${options.map((o) => `<option value="${o.value}" ${String(o.value) === current ? "selected" : ""}>${o.label}</option>`).join("")}
+    </select>
+  `;
+}
+
+// UA type cell: the chosen type or profile, plus the profile the last resolution actually used
+function renderUaType(campaign) {
+  const labels = { mobile: "📱 Mobile", desktop: "🖥️ Desktop", random: "🔄 Rotating" };
+  const uaType = campaign.uaType || "random";
+  const label = labels[uaType] || (uaType.startsWith("tag:") ? `🏷️ ${uaType.slice(4)}` : `📟 ${uaType}`);
+  if (!campaign.deviceProfile || campaign.deviceProfile === uaType) return label;
+  return `${label}<br><small class="param-none">${campaign.deviceProfile}</small>`;
+}
+
+// Affiliate network badge, with the IDs we extracted on hover
+function renderAffiliateNetwork(campaign) {
+  const affiliate = campaign.affiliate;
+  if (!affiliate || !affiliate.network) return `<span class="param-none">—</span>`;
+  const ids = ["publisherId", "advertiserId", "clickId", "adId"]
+    .filter((field) => affiliate[field])
+    .map((field) => `${field}: ${affiliate[field]}`)
+    .join("\n")
+    .replace(/"/g, "&quot;");
+  const others = affiliate.networks.length > 1 ? ` +${affiliate.networks.length - 1}` : "";
+  return `<span class="network-badge" title="${ids || "No IDs found"}">🤝 ${affiliate.network}${others}</span>`;
+}
+
+// Tracking parameter badges: present ones with their value on hover, missing required ones in red
+function renderTrackingParams(campaign) {
+  const params = campaign.trackingParams || [];
+  const badges = params
+    .filter((p) => p.present || p.required)
+    .map((p) => {
+      if (!p.present) {
+        return `<span class="param-badge param-missing" title="Required parameter missing">❌ ${p.name}</span>`;
+      }
+      const value = String(p.value).replace(/"/g, "&quot;");
+      return `<span class="param-badge param-present" title="${p.matchedAs}=${value}">✅ ${p.name}</span>`;
+    });
+  return badges.length ? `<div class="param-badges">${badges.join("")}</div>` : `<span class="param-none">—</span>`;
+}
+
+// Pick the usable final URL out of a /resolve style result
+function finalUrlFromResult(result) {
+  const finalUrl = result?.finalUrl;
+  if (
+    !finalUrl ||
+    finalUrl.startsWith("chrome-error://") ||
+    finalUrl.includes("chromewebdata")
+  ) {
+    return "Error resolving";
+  }
+  return finalUrl;
+}
+
+// POST /jobs takes at most this many items (the server's default JOB_MAX_ITEMS)
+const JOB_MAX_ITEMS = 500;
+
+// Resolve many URLs through server-side jobs instead of polling /resolve a few at a time; longer lists run as
+// several jobs in a row. onItem(index, finalUrl, item) fires as each URL finishes, onProgress({ total, completed, failed }) after it.
+// An item the server can't resolve (bad URL or options) comes back failed instead of failing the rest
+async function runResolutionJob(items, onItem, onProgress) {
+  const jobs = [];
+  const finished = { completed: 0, failed: 0, cancelled: 0 };
+  for (let offset = 0; offset < items.length; offset += JOB_MAX_ITEMS) {
+    const job = await runSingleJob(
+      items.slice(offset, offset + JOB_MAX_ITEMS),
+      (index, finalUrl, item) => onItem(offset + index, finalUrl, item),
+      (progress) => {
+        if (!onProgress) return;
+        onProgress({
+          total: items.length,
+          completed: finished.completed + progress.completed,
+          failed: finished.failed + progress.failed,
+          cancelled: finished.cancelled + progress.cancelled,
+          remaining: items.length - offset - (progress.total - progress.remaining),
+        });
+      }
+    );
+    Object.keys(finished).forEach((key) => { finished[key] += job.progress[key]; });
+    jobs.push(job);
+  }
+  return jobs;
+}
+
+// One POST /jobs and its event stream; indexes passed to onItem are positions in this job's items
+async function runSingleJob(items, onItem, onProgress) {
+  const response = await fetch("/jobs", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ items }),
+  });
+  if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+  const { jobId } = await response.json();
+
+  // Leaving the page cancels the job, so the server stops paying for sessions nobody will see
+  const cancelOnLeave = () => fetch(`/jobs/${jobId}`, { method: "DELETE", keepalive: true }).catch(() => {});
+  window.addEventListener("pagehide", cancelOnLeave);
+
+  const reported = new Set();
+  const report = (item) => {
+    if (reported.has(item.index)) return;
+    reported.add(item.index);
+    onItem(item.index, finalUrlFromResult(item.result), item);
+  };
+
+  // Fallback when the event stream drops: poll the job until it finishes
+  const pollJob = async () => {
+    for (;;) {
+      const res = await fetch(`/jobs/${jobId}`);
+      if (!res.ok) throw new Error(`Server responded with ${res.status}`);
+      const job = await res.json();
+      job.items
+        .filter((item) => ["completed", "failed", "cancelled"].includes(item.status))
+        .forEach(report);
+      if (onProgress) onProgress(job.progress);
+      if (job.finishedAt) return job;
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/jobs/${jobId}/events`);
+    source.addEventListener("item", (e) => report(JSON.parse(e.data)));
+    source.addEventListener("progress", (e) => {
+      if (onProgress) onProgress(JSON.parse(e.data));
+    });
+    source.addEventListener("done", (e) => {
+      source.close();
+      resolve(JSON.parse(e.data));
+    });
+    source.onerror = () => {
+      source.close();
+      console.warn("⚠️ Job event stream lost, falling back to polling");
+      pollJob().then(resolve, reject);
+    };
+  }).finally(() => window.removeEventListener("pagehide", cancelOnLeave));
+}
+
+// Resolve a whole list in one request: /resolve-batch streams one NDJSON line per finished item.
+// Same onItem(index, finalUrl, item) as runResolutionJob; navigating away aborts the request, which cancels the batch
+async function runResolutionBatch(items, onItem) {
+  const response = await fetch("/resolve-batch", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(items),
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Server responded with ${response.status}`);
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffered += value;
+    const lines = buffered.split("\n");
+    buffered = lines.pop(); // an unfinished line waits for the next chunk
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      const item = JSON.parse(line);
+      if (item.done) return item;
+      onItem(item.index, finalUrlFromResult(item.result), item);
+    }
+  }
+  throw new Error("Batch stream ended early");
+}
+
 //Function to handle add campaign after adding a new campaign and click on add campaign button
 async function addCampaign() {
   const url = document.getElementById("campaign-url").value;
@@ -188,12 +636,18 @@ async function addCampaign() {
   const loadingRow = document.getElementById("loadingRow");
   const country = document.getElementById("url-country").value;
   const uaType = document.getElementById("ua-type") ? document.getElementById("ua-type").value : "random";
+  const settle = readSettleForm();
+  const strictRegion = document.getElementById("strict-region")?.value === "true";
+  const cacheTtl = Number(document.getElementById("cache-ttl")?.value) || 0;
+  const intercept = document.getElementById("intercept-preset")?.value || null;
 
   //Validate inputs
   if (!url) return showNotification("Campaign URL is required", "error" );
   if (!tags) return showNotification("Campaign tags are required", "error" );
   if (!isValidURL(url)) return showNotification("Please enter a valid URL", "error" );
   if (!country) return showNotification("Please select a country", "error" );
+  if (settle && settle.strategy === "selector" && !settle.selector) return showNotification("Please enter a CSS selector to wait for", "error" );
+  if (settle && settle.strategy === "url-match" && !settle.urlPattern) return showNotification("Please enter a URL pattern to wait for", "error" );
 
   loadingRow.style.display = "table-row";
 
@@ -201,7 +655,7 @@ async function addCampaign() {
   showLoadingToast("Please wait, While we're fetching the URL...");
 
   const now = new Date();
-  const finalUrl = await resolveFinalUrl(url, country, uaType);
+  const { finalUrl, result } = await resolveCampaignUrl(url, country, uaType, { settle, strictRegion, cacheTtl, intercept });
   console.log(`🌍 Added campaign for ${country} (${uaType}):`, finalUrl);
 
   // 👉 Remove loader toast AFTER resolving
@@ -215,7 +669,12 @@ async function addCampaign() {
     date: formatDate(now),
     country: country,
     uaType: uaType,
+    settle: settle, // page settle strategy, reused on every refresh
+    strictRegion: strictRegion, // fail instead of flag when the exit IP is in another region
+    cacheTtl: cacheTtl, // seconds a resolution may be reused for on refresh, 0 = always resolve
+    intercept: intercept, // interception preset, null = minimal bandwidth
   };
+  applyResolutionDetails(campaign, result);
 
   campaigns.push(campaign);
 
@@ -230,6 +689,11 @@ async function addCampaign() {
   //document.getElementById("url-country").value = "";
   $("#url-country").val("").trigger("change"); // Reset Select2 dropdown properly
   if (document.getElementById("ua-type")) document.getElementById("ua-type").value = "random";
+  if (document.getElementById("strict-region")) document.getElementById("strict-region").value = "false";
+  if (document.getElementById("settle-strategy")) {
+    document.getElementById("settle-strategy").value = "dom";
+    onSettleStrategyChange();
+  }
 
   // ✅ Show success notification
   showNotification(`Resolution for ${country} (${uaType}) added successfully!`, "success");
@@ -267,70 +731,40 @@ async function refreshAllUrls() {
   let errorCount = 0;
 
   try {
-    // Process campaigns in smaller batches to reduce server load
-    const batchSize = 2; // Reduced from 3 to 2 for better stability
     const totalCampaigns = campaigns.length;
-
-    for (let i = 0; i < campaigns.length; i += batchSize) {
-      const batch = campaigns.slice(i, i + batchSize);
-      const currentBatchStart = i + 1;
-      const currentBatchEnd = Math.min(i + batchSize, totalCampaigns);
-
-      // Update button with progress
-      refreshBtn.innerHTML = `<span class="loading-spinner"></span>Processing ${currentBatchStart}-${currentBatchEnd} of ${totalCampaigns}...`;
-
-      // Process batch with individual error handling
-      const batchPromises = batch.map(async (campaign, index) => {
-        const campaignNumber = i + index + 1;
-
-        try {
-          // Add individual timeout for each URL resolution
-          const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(
-              () => reject(new Error("Individual URL timeout")),
-              10000
-            ); // 10 second timeout per URL
-          });
-
-          // Use campaign's stored country/region for refresh
-          const campaignRegion = campaign.country || "US";
-          console.log(`🔄 Refreshing campaign ${campaignNumber} with region [${campaignRegion}]`);
-          const resolutionPromise = resolveFinalUrl(campaign.url, campaignRegion);
-
-          // Race between resolution and timeout
-          const finalUrl = await Promise.race([
-            resolutionPromise,
-            timeoutPromise,
-          ]);
-
-          // Validate the resolved URL
-          if (
-            !finalUrl ||
-            finalUrl === "Loading..." ||
-            finalUrl.startsWith("chrome-error://") ||
-            finalUrl.includes("chromewebdata")
-          ) {
-            throw new Error("Invalid resolution result");
-          }
-
+    // Keep our own copy: the table may be re-sorted while the job runs
+    const jobCampaigns = [...campaigns];
+    const items = jobCampaigns.map((campaign) => ({
+      url: campaign.url,
+      region: campaign.country || "US",
+      uaType: campaign.uaType || "random",
+      ...(campaign.settle ? { settle: campaign.settle } : {}),
+      ...(campaign.strictRegion ? { strictRegion: true } : {}),
+      ...(campaign.cacheTtl !== undefined ? { cacheTtl: campaign.cacheTtl } : {}),
+      ...(campaign.intercept ? { intercept: campaign.intercept } : {}),
+    }));
+
+    await runResolutionJob(
+      items,
+      (index, finalUrl, item) => {
+        const campaign = jobCampaigns[index];
+        const campaignNumber = index + 1;
+
+        if (finalUrl !== "Error resolving") {
           campaign.finalUrl = finalUrl;
+          applyResolutionDetails(campaign, item.result);
           campaign.date = formatDate(new Date()); // Update the date
           successCount++;
-
           console.log(
-            `✅ Campaign ${campaignNumber}/${totalCampaigns} resolved successfully with [${campaignRegion}]`
-          );
-        } catch (error) {
-          console.error(
-            `❌ Campaign ${campaignNumber}/${totalCampaigns} failed:`,
-            error.message
+            `✅ Campaign ${campaignNumber}/${totalCampaigns} resolved successfully with [${items[index].region}]`
           );
+        } else {
+          console.error(`❌ Campaign ${campaignNumber}/${totalCampaigns} failed`);
 
           // Restore original URL if available, otherwise set descriptive error
           const originalData = originalFinalUrls.find(
             (orig) => orig.id === campaign.id
           );
-
           if (
             originalData &&
             originalData.finalUrl !== "Loading..." &&
@@ -341,40 +775,22 @@ async function refreshAllUrls() {
               `🔄 Restored previous URL for campaign ${campaignNumber}`
             );
           } else {
-            // Set descriptive error message
-            if (
-              error.message.includes("timeout") ||
-              error.message.includes("Timeout")
-            ) {
-              campaign.finalUrl = "Timeout - Please try again";
-            } else if (
-              error.message.includes("Network") ||
-              error.message.includes("fetch")
-            ) {
-              campaign.finalUrl = "Network error";
-            } else {
-              campaign.finalUrl = "Resolution failed";
-            }
+            campaign.finalUrl = "Resolution failed";
           }
-
           errorCount++;
         }
 
         // Update table after each URL to show progress
         renderTable();
-      });
-
-      // Wait for the current batch to complete
-      await Promise.allSettled(batchPromises);
-
-      // Save progress after each batch
-      saveCampaigns();
-
-      // Longer delay between batches to be more respectful to servers
-      if (i + batchSize < campaigns.length) {
-        await new Promise((resolve) => setTimeout(resolve, 1000)); // 1 second delay
+        saveCampaigns();
+      },
+      (progress) => {
+        // Update button with progress
+        refreshBtn.innerHTML = `<span class="loading-spinner"></span>Processed ${
+          progress.completed + progress.failed
+        } of ${progress.total}...`;
       }
-    }
+    );
 
     // Final update and save
     renderTable();
@@ -448,7 +864,7 @@ async function refreshSingleUrl(campaignId) {
   renderTable();
 
   try {
-    const finalUrl = await resolveFinalUrl(campaign.url, campaignRegion, campaignUaType);
+    const { finalUrl, result } = await resolveCampaignUrl(campaign.url, campaignRegion, campaignUaType, campaignResolveOptions(campaign));
 
     if (
       finalUrl &&
@@ -457,8 +873,10 @@ async function refreshSingleUrl(campaignId) {
       !finalUrl.includes("chromewebdata")
     ) {
       campaign.finalUrl = finalUrl;
+      applyResolutionDetails(campaign, result);
       campaign.date = formatDate(new Date());
-      showNotification(`✅ URL refreshed successfully! with region [${campaignRegion}] and uaType [${campaignUaType}]!`, "success");
+      const fromCache = result && result.cache && result.cache.hit ? " (cached result)" : "";
+      showNotification(`✅ URL refreshed successfully! with region [${campaignRegion}] and uaType [${campaignUaType}]!${fromCache}`, "success");
     } else {
       throw new Error("Invalid resolution result");
     }
@@ -479,7 +897,7 @@ function renderTable() {
 
   if (campaigns.length === 0) {
     const noDatarow = document.createElement("tr");
-    noDatarow.innerHTML = `<td colspan="7" style="text-align:center; padding:20px; color:#666; font-style:italic;">☹️ No Campaigns Available <span><a href="#campaign-url">Add Campaigns</a></span></td>`;
+    noDatarow.innerHTML = `<td colspan="9" style="text-align:center; padding:20px; color:#666; font-style:italic;">☹️ No Campaigns Available <span><a href="#campaign-url">Add Campaigns</a></span></td>`;
     tbody.appendChild(noDatarow);
     return;
   }
@@ -501,6 +919,7 @@ function renderTable() {
       finalUrlContent = `
             <div class="url-cell">
               <span class="status-badge status-error">❌ ${c.finalUrl}</span>
+              ${renderMonitorFlags(c)}
               <button class="copy-btn refresh-single-btn" onclick="refreshSingleUrl(${c.id})" title="Retry this URL">
                 🔄 Retry (${c.refreshCount || 0})
               </button>
@@ -510,6 +929,8 @@ function renderTable() {
       finalUrlContent = `
             <div class="url-cell">
               <span class="url-text">${c.finalUrl}</span>
+              ${renderLandingStatus(c)}
+              ${renderMonitorFlags(c)}
               <div class="url-actions">
                 <button class="copy-btn refresh-single-btn" onclick="refreshSingleUrl(${c.id})" title="Refresh this URL">
                   🔄 Refresh URL (${c.refreshCount || 0})
@@ -523,6 +944,8 @@ function renderTable() {
           <td>${c.date}</td>
           <td contenteditable="true" onblur="updateCampaignURL(${c.id}, this.innerText)">${c.url}</td>
           <td>${finalUrlContent}</td>
+          <td>${renderAffiliateNetwork(c)}</td>
+          <td>${renderTrackingParams(c)}</td>
           <td>
             <input type="text"
                class="country-input"
@@ -532,10 +955,11 @@ function renderTable() {
             />
           </td>
           <td contenteditable="true" onblur="updateTags(${c.id}, this.innerText)">${c.tags}</td>
-          <td>${c.uaType === 'mobile' ? '📱 Mobile' : (c.uaType === 'desktop' ? '🖥️ Desktop' : '🔄 Rotating')}</td>
+          <td>${renderUaType(c)}</td>
           <td>
             <button class="btn-danger" onclick="confirmDelete(${c.id})">🗑️ Delete</button>
             <button class="copy-btn" onclick="copyToClipboard('${c.finalUrl}')" title="Copy URL">📋 Copy</button>
+            ${renderMonitorSelect(c)}
           </td>
         `;
     tbody.appendChild(row);
@@ -598,6 +1022,101 @@ const additionalStyles = `
       background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%);
       color: white;
     }
+
+    .param-badges {
+      display: flex;
+      gap: 4px;
+      flex-wrap: wrap;
+    }
+
+    .param-badge {
+      padding: 2px 6px;
+      border-radius: 6px;
+      font-size: 11px;
+      font-weight: 600;
+      white-space: nowrap;
+    }
+
+    .param-present {
+      background: #dcfce7;
+      color: #166534;
+    }
+
+    .param-missing {
+      background: #fee2e2;
+      color: #991b1b;
+    }
+
+    .network-badge {
+      padding: 2px 8px;
+      border-radius: 6px;
+      font-size: 12px;
+      font-weight: 600;
+      white-space: nowrap;
+      background: #e0e7ff;
+      color: #3730a3;
+    }
+
+    .param-none {
+      color: #999;
+    }
+
+    .landing-badge {
+      padding: 2px 8px;
+      border-radius: 6px;
+      font-size: 12px;
+      font-weight: 600;
+      white-space: nowrap;
+      align-self: flex-start;
+    }
+
+    .landing-broken {
+      background: #dc2626;
+      color: white;
+    }
+
+    .landing-parked {
+      background: #fef3c7;
+      color: #92400e;
+    }
+
+    .landing-expired {
+      background: #e5e7eb;
+      color: #374151;
+    }
+
+    .monitor-flags {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+      align-items: center;
+    }
+
+    .monitor-flag {
+      padding: 2px 8px;
+      border-radius: 6px;
+      font-size: 12px;
+      font-weight: 600;
+      white-space: nowrap;
+      background: #fef3c7;
+      color: #92400e;
+    }
+
+    .monitor-resolution_failed,
+    .monitor-broken_landing {
+      background: #dc2626;
+      color: white;
+    }
+
+    .monitor-recovered {
+      background: #dcfce7;
+      color: #166534;
+    }
+
+    .monitor-select {
+      margin-top: 4px;
+      font-size: 12px;
+    }
     </style>
     `;
 
@@ -618,12 +1137,14 @@ function updateCampaignURL(id, newUrl) {
 
     // Use campaign's country for URL update
     const campaignRegion = campaign.country || "US";
-    resolveFinalUrl(newUrl, campaignRegion).then((url) => {
+    resolveCampaignUrl(newUrl, campaignRegion, campaign.uaType, campaignResolveOptions(campaign)).then(({ finalUrl: url, result }) => {
       campaign.finalUrl = url;
+      applyResolutionDetails(campaign, result);
       campaign.date = formatDate(new Date());
       renderTable();
       saveCampaigns();
     });
+    updateMonitorFromCampaign(campaign);
   }
 }
 
@@ -632,6 +1153,7 @@ function updateTags(id, newTags) {
   if (campaign) {
     campaign.tags = newTags;
     saveCampaigns();
+    updateMonitorFromCampaign(campaign);
   }
 }
 
@@ -642,6 +1164,7 @@ function updateCountry(id, newCountry) {
     campaign.country = newCountry.toUpperCase();
     console.log(`Country updated:`, campaign.country); // ✅ Check this shows in console
     saveCampaigns();
+    updateMonitorFromCampaign(campaign);
   }
 }
 
@@ -657,6 +1180,12 @@ function confirmDelete(id) {
 function deleteCampaign(id) {
   const index = campaigns.findIndex((c) => c.id === id);
   if (index !== -1) {
+    const { monitorId } = campaigns[index];
+    if (monitorId) {
+      monitorRequest(`/monitors/${monitorId}`, "DELETE").catch((err) =>
+        console.error("❌ Failed to remove campaign monitor:", err.message));
+      delete monitors[monitorId];
+    }
     campaigns.splice(index, 1);
     renderTable();
     saveCampaigns();
@@ -678,6 +1207,11 @@ document.getElementById("cancelBtn").addEventListener("click", hideModal);
 document.getElementById("exitBtn").addEventListener("click", hideModal);
 document.getElementById("deleteBtn").addEventListener("click", () => {
   //campaigns.splice(0, campaigns.length);  // Clear campaigns
+  campaigns.filter((c) => c.monitorId).forEach((c) => {
+    monitorRequest(`/monitors/${c.monitorId}`, "DELETE").catch((err) =>
+      console.error("❌ Failed to remove campaign monitor:", err.message));
+    delete monitors[c.monitorId];
+  });
   campaigns.length = 0;
   localStorage.removeItem("campaigns"); // Clear localStorage as well
   renderTable();
@@ -1158,65 +1692,38 @@ async function processImportedData(importedData) {
   try {
     // Create a map to store campaigns by their original index
     const campaignMap = new Map();
-    const batchSize = 3;
     let totalProcessed = 0;
+    const importStartedAt = Date.now();
+
+    progressNotification.innerHTML = `📊 Processing ${importedData.length} campaigns...`;
+
+    const items = importedData.map((item) => ({
+      url: item.url,
+      region: item.country || "US",
+      uaType: item.uaType || "random",
+      tags: item.tags,
+    }));
+
+    // The whole file goes to the server in one call and results stream back as they finish
+    await runResolutionBatch(items, (originalIndex, finalUrl, jobItem) => {
+      const item = importedData[originalIndex];
+      if (finalUrl === "Error resolving") {
+        console.error(`Error processing URL ${item.url}`);
+      }
 
-    // Process in batches but maintain order
-    for (let i = 0; i < importedData.length; i += batchSize) {
-      const batch = importedData.slice(i, i + batchSize);
-      const batchStartIndex = i;
-
-      // Update progress
-      progressNotification.innerHTML = `📊 Processing batch ${
-        Math.floor(i / batchSize) + 1
-      }... (${totalProcessed}/${importedData.length} completed)`;
-
-      // Process current batch
-      const batchPromises = batch.map(async (item, batchIndex) => {
-        const originalIndex = batchStartIndex + batchIndex;
-
-        try {
-          const finalUrl = await resolveFinalUrl(item.url, item.country || "US", item.uaType || "random");
-          const now = new Date();
-
-          const campaign = {
-            id: Date.now() + originalIndex, // Sequential IDs
-            url: item.url,
-            finalUrl: finalUrl,
-            tags: item.tags,
-            country: item.country || "US",
-            date: formatDate(now),
-            originalIndex: originalIndex, // Track original position
-            importBatch: Math.floor(i / batchSize), // Track which batch this belongs to
-            uaType: item.uaType || "random", // Store uaType
-          };
-
-          // Store in map with original index as key
-          campaignMap.set(originalIndex, campaign);
-          return { success: true, originalIndex, campaign };
-        } catch (error) {
-          console.error(`Error processing URL ${item.url}:`, error);
-
-          const campaign = {
-            id: Date.now() + originalIndex,
-            url: item.url,
-            finalUrl: "Error resolving",
-            tags: item.tags,
-            country: item.country || "US",
-            date: formatDate(new Date()),
-            originalIndex: originalIndex,
-            importBatch: Math.floor(i / batchSize),
-            uaType: item.uaType || "random", // Store uaType
-          };
-
-          campaignMap.set(originalIndex, campaign);
-          return { success: false, originalIndex, campaign };
-        }
-      });
-
-      // Wait for current batch to complete
-      await Promise.all(batchPromises);
-      totalProcessed += batch.length;
+      const campaign = {
+        id: importStartedAt + originalIndex, // Sequential IDs
+        url: item.url,
+        finalUrl: finalUrl,
+        tags: item.tags,
+        country: item.country || "US",
+        date: formatDate(new Date()),
+        originalIndex: originalIndex, // Track original position
+        uaType: item.uaType || "random", // Store uaType
+      };
+      applyResolutionDetails(campaign, jobItem.result);
+      campaignMap.set(originalIndex, campaign);
+      totalProcessed++;
 
       // Add completed campaigns to main array in original order
       const orderedCampaigns = [];
@@ -1226,7 +1733,6 @@ async function processImportedData(importedData) {
         }
       }
 
-      // Add the ordered campaigns to the main campaigns array
       // Remove any previously added import campaigns and add the updated ordered list
       const existingCampaigns = campaigns.filter(
         (c) => c.originalIndex === undefined
@@ -1234,20 +1740,12 @@ async function processImportedData(importedData) {
       campaigns.length = 0; // Clear array
       campaigns.push(...existingCampaigns, ...orderedCampaigns);
 
-      // Update table and save after each batch
+      // Update table and save after each URL
       renderTable();
       saveCampaigns();
 
-      // Update progress with completed count
-      progressNotification.innerHTML = `✅ Batch ${
-        Math.floor(i / batchSize) + 1
-      } completed! (${totalProcessed}/${importedData.length} total)`;
-
-      // Small delay between batches
-      if (i + batchSize < importedData.length) {
-        await new Promise((resolve) => setTimeout(resolve, 800));
-      }
-    }
+      progressNotification.innerHTML = `📊 Processing... (${totalProcessed}/${importedData.length} completed)`;
+    });
 
     // Final update
     progressNotification.innerHTML = `🎉 All ${totalProcessed} campaigns processed successfully!`;
@@ -0,0 +1,167 @@
+// Region × device comparison matrix for one URL (/resolve-compare)
+
+function showMessage(text, type = "success") {
+  const message = document.getElementById("compare-message");
+  message.textContent = text;
+  message.className = `admin-message ${type}`;
+}
+
+const formatValue = (value) => (Array.isArray(value) ? value.join(", ") : value);
+
+// Device type checkboxes: desktop and mobile checked, plus every tag and enabled profile to pick from
+async function loadUaTypes() {
+  const container = document.getElementById("compare-ua-types");
+  const options = [
+    { value: "desktop", label: "🖥️ Desktop", checked: true },
+    { value: "mobile", label: "📱 Mobile", checked: true },
+  ];
+  try {
+    const res = await fetch("/device-profiles");
+    const { tags, profiles } = await res.json();
+    tags.forEach((tag) => options.push({ value: `tag:${tag}`, label: `🏷️ ${tag}` }));
+    profiles.forEach((profile) => options.push({ value: profile.name, label: `📟 ${profile.name}` }));
+  } catch (err) {
+    console.error("❌ Failed to load device profiles:", err.message);
+  }
+  container.innerHTML = options.map(({ value, label, checked }) => `
+    <label><input type="checkbox" value="${escapeHtml(value)}" ${checked ? "checked" : ""}> ${escapeHtml(label)}</label>
+  `).join("");
+}
+
+function renderHighlights(report) {
+  const { domainChanges, lostParams, failures } = report.highlights;
+  const items = [
+    ...domainChanges.map((c) => `🌐 <strong>${escapeHtml(c.region)} / ${escapeHtml(c.uaType)}</strong> lands on <strong>${escapeHtml(c.host)}</strong> instead of ${escapeHtml(c.baselineHost)}`),
+    ...lostParams.map((c) => `⚠️ <strong>${escapeHtml(c.region)} / ${escapeHtml(c.uaType)}</strong> loses ${c.params.map((p) => `<code>${escapeHtml(p)}</code>`).join(", ")}`),
+    ...failures.map((c) => `❌ <strong>${escapeHtml(c.region)} / ${escapeHtml(c.uaType)}</strong> failed${c.errorType ? ` (${escapeHtml(c.errorType)})` : ""}: ${escapeHtml(c.error)}`),
+  ];
+  return `
+    <div class="section">
+      <h2 class="section-title">🔦 Highlights</h2>
+      ${items.length
+        ? `<ul class="highlight-list">${items.map((item) => `<li>${item}</li>`).join("")}</ul>`
+        : `<div class="empty-state">✅ Every region and device lands on the same domain with the same tracking params</div>`}
+    </div>
+  `;
+}
+
+function renderMatrix(report) {
+  const cellFor = (region, uaType) => report.matrix.find((c) => c.region === region && c.uaType === uaType);
+  const rows = report.regions.map((region) => {
+    const cells = report.uaTypes.map((uaType) => {
+      const cell = cellFor(region, uaType);
+      const classes = ["matrix-cell"];
+      if (!cell.finalUrl) classes.push("failed");
+      if (cell.diff?.hostChanged) classes.push("changed-domain");
+      if (cell.lostParams.length) classes.push("lost-params");
+
+      const flags = [];
+      if (cell.diff?.hostChanged) flags.push("🌐 other domain");
+      if (cell.diff?.pathChanged) flags.push("📂 other path");
+      if (cell.lostParams.length) flags.push(`⚠️ lost ${cell.lostParams.map(escapeHtml).join(", ")}`);
+      if (cell.regionMatch === false) flags.push(`📍 exit ${escapeHtml(cell.actualRegion)}`);
+      if (cell.landingStatus && cell.landingStatus !== "healthy") flags.push(`🚧 ${escapeHtml(cell.landingStatus)}`);
+
+      return `
+        <td class="${classes.join(" ")}" title="${escapeHtml(cell.finalUrl || cell.error)}">
+          <span class="group-badge ${cell.group === report.baseline ? "baseline" : ""}">${cell.group}</span>
+          ${cell.finalUrl ? escapeHtml(new URL(cell.finalUrl).host) : `❌ ${escapeHtml(cell.errorType || "failed")}`}
+          ${cell.deviceProfile ? `<br><small class="param-none">${escapeHtml(cell.deviceProfile)}</small>` : ""}
+          ${flags.length ? `<div class="cell-flags">${flags.map((f) => `<span>${f}</span>`).join("")}</div>` : ""}
+        </td>
+      `;
+    }).join("");
+    return `<tr><td><span class="region-badge">${escapeHtml(region)}</span></td>${cells}</tr>`;
+  }).join("");
+
+  return `
+    <div class="section">
+      <h2 class="section-title">🗺️ Matrix</h2>
+      <div class="table-container">
+        <table>
+          <thead><tr><th>Region</th>${report.uaTypes.map((uaType) => `<th>${escapeHtml(uaType)}</th>`).join("")}</tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+// One column per outcome: host, path and every query parameter next to each other
+function renderGroups(report) {
+  const resolved = report.groups.filter((g) => g.finalUrl);
+  const paramNames = [...new Set(resolved.flatMap((g) => Object.keys(g.params)))].sort();
+  const baseline = report.groups.find((g) => g.id === report.baseline);
+
+  const paramCell = (group, name) => {
+    const value = group.params[name];
+    if (group === baseline || !group.diff) return `<td>${value === undefined ? "—" : escapeHtml(formatValue(value))}</td>`;
+    if (group.diff.params.removed.includes(name)) return `<td class="removed">${escapeHtml(formatValue(baseline.params[name]))}</td>`;
+    if (name in group.diff.params.added) return `<td class="added">+ ${escapeHtml(formatValue(value))}</td>`;
+    if (name in group.diff.params.changed) return `<td class="changed">${escapeHtml(formatValue(value))}</td>`;
+    return `<td>${value === undefined ? "—" : escapeHtml(formatValue(value))}</td>`;
+  };
+  const header = resolved.map((g) => `
+    <th><span class="group-badge ${g.id === report.baseline ? "baseline" : ""}">${g.id}</span>
+      ${g.cells.length} combination${g.cells.length === 1 ? "" : "s"}${g.id === report.baseline ? " · baseline" : ""}</th>`).join("");
+  const hostRow = resolved.map((g) => `<td class="${g.diff?.hostChanged ? "changed" : ""}">${escapeHtml(g.host)}</td>`).join("");
+  const pathRow = resolved.map((g) => `<td class="${g.diff?.pathChanged ? "changed" : ""}">${escapeHtml(g.path)}</td>`).join("");
+  const paramRows = paramNames.map((name) => `
+    <tr><td><code>${escapeHtml(name)}</code></td>${resolved.map((g) => paramCell(g, name)).join("")}</tr>`).join("");
+  const failedGroups = report.groups.filter((g) => !g.finalUrl);
+
+  return `
+    <div class="section">
+      <h2 class="section-title">🧩 Outcomes</h2>
+      ${resolved.length ? `
+      <div class="table-container">
+        <table class="param-diff">
+          <thead><tr><th></th>${header}</tr></thead>
+          <tbody>
+            <tr><td><strong>Host</strong></td>${hostRow}</tr>
+            <tr><td><strong>Path</strong></td>${pathRow}</tr>
+            ${paramRows}
+          </tbody>
+        </table>
+      </div>` : `<div class="empty-state">No region or device resolved</div>`}
+      ${failedGroups.map((g) => `
+        <p><span class="group-badge">${g.id}</span> ❌ ${escapeHtml(g.errorType || "failed")} in
+          ${g.cells.map((c) => `${escapeHtml(c.region)}/${escapeHtml(c.uaType)}`).join(", ")}: ${escapeHtml(g.error)}</p>`).join("")}
+    </div>
+  `;
+}
+
+document.getElementById("compare-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const url = document.getElementById("compare-url").value.trim();
+  const regions = document.getElementById("compare-regions").value.split(",").map((r) => r.trim().toUpperCase()).filter(Boolean);
+  const uaTypes = [...document.querySelectorAll("#compare-ua-types input:checked")].map((input) => input.value);
+  if (uaTypes.length === 0) {
+    showMessage("❌ Pick at least one device type", "error");
+    return;
+  }
+
+  const params = new URLSearchParams({
+    url,
+    regions: regions.join(","),
+    uaTypes: uaTypes.join(","),
+    method: document.getElementById("compare-method").value,
+  });
+  const submit = document.getElementById("compare-submit");
+  submit.disabled = true;
+  showMessage(`⌛ Resolving ${regions.length * uaTypes.length} combinations...`);
+  try {
+    const res = await fetch(`/resolve-compare?${params}`);
+    const report = await res.json();
+    if (!res.ok) throw new Error(report.details || report.error || `Server responded with ${res.status}`);
+    document.getElementById("compare-report").innerHTML =
+      renderHighlights(report) + renderMatrix(report) + renderGroups(report);
+    showMessage(`✅ ${report.matrix.length} combinations, ${report.groups.length} distinct outcomes`);
+  } catch (err) {
+    showMessage(`❌ ${err.message}`, "error");
+  } finally {
+    submit.disabled = false;
+  }
+});
+
+loadUaTypes();
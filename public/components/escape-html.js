@@ -0,0 +1,6 @@
+// Shared by the dashboard pages: escape text before it goes into an innerHTML template
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (ch) => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;",
+  })[ch]);
+}
@@ -0,0 +1,160 @@
+// Outbound webhooks and their delivery log (/webhooks, /webhooks/deliveries)
+
+const EVENT_LABELS = {
+  resolution_failed: "❌ Resolution failed",
+  final_url_changed: "🔀 Final URL changed",
+  tracking_param_missing: "⚠️ Tracking param missing",
+  geo_mismatch: "📍 Geo mismatch",
+  ping: "🏓 Test ping",
+};
+const revealed = new Set(); // webhook ids whose secret is shown
+
+function showMessage(text, type = "success") {
+  const message = document.getElementById("webhooks-message");
+  message.textContent = text;
+  message.className = `admin-message ${type}`;
+}
+
+// Helper: call the API and turn error responses into exceptions
+async function apiRequest(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Server responded with ${res.status}`);
+  return data;
+}
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : "—");
+
+function renderEventOptions(events) {
+  document.getElementById("webhook-events").innerHTML = events.map((event) => `
+    <label><input type="checkbox" value="${escapeHtml(event)}" checked> ${EVENT_LABELS[event] || escapeHtml(event)}</label>
+  `).join("");
+}
+
+function renderWebhooks(webhooks) {
+  const tbody = document.getElementById("webhooks-body");
+  if (webhooks.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="6" class="empty-state">No webhooks yet</td></tr>`;
+    return;
+  }
+  tbody.innerHTML = webhooks.map((w) => `
+    <tr class="${w.enabled ? "" : "row-disabled"}">
+      <td>${escapeHtml(w.name) || "—"}</td>
+      <td class="url-text">${escapeHtml(w.url)}</td>
+      <td>${w.events.map((e) => EVENT_LABELS[e] || escapeHtml(e)).join("<br>")}</td>
+      <td>${w.scope === "all" ? "Everyone" : "Mine"}</td>
+      <td class="secret">
+        ${revealed.has(w.id) ? escapeHtml(w.secret) : "••••••••"}
+        <button class="admin-btn small" data-action="reveal" data-id="${w.id}">${revealed.has(w.id) ? "Hide" : "Show"}</button>
+      </td>
+      <td>
+        <button class="admin-btn small" data-action="test" data-id="${w.id}">Send test</button>
+        <button class="admin-btn small" data-action="toggle" data-id="${w.id}" data-enabled="${w.enabled}">${w.enabled ? "Disable" : "Enable"}</button>
+        <button class="admin-btn small" data-action="rotate" data-id="${w.id}">Rotate secret</button>
+        <button class="admin-btn small danger" data-action="delete" data-id="${w.id}">Delete</button>
+      </td>
+    </tr>
+  `).join("");
+}
+
+function renderDeliveries(deliveries) {
+  const tbody = document.getElementById("deliveries-body");
+  if (deliveries.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="7" class="empty-state">Nothing delivered yet</td></tr>`;
+    return;
+  }
+  tbody.innerHTML = deliveries.map((d) => {
+    const last = d.attempts.at(-1);
+    const response = last ? (last.error ? escapeHtml(last.error) : `${last.statusCode} in ${last.durationMs} ms`) : "—";
+    const next = d.status === "retrying" ? `<br><small>next ${formatTime(d.nextAttemptAt)}</small>` : "";
+    return `
+      <tr>
+        <td>${formatTime(d.createdAt)}</td>
+        <td>${EVENT_LABELS[d.event] || escapeHtml(d.event)}</td>
+        <td class="url-text">${escapeHtml(d.url)}</td>
+        <td><span class="delivery-status ${escapeHtml(d.status)}">${escapeHtml(d.status)}</span>${next}</td>
+        <td>${d.attempts.length}</td>
+        <td>${response}</td>
+        <td><button class="admin-btn small" data-action="redeliver" data-id="${d.id}">Redeliver</button></td>
+      </tr>
+    `;
+  }).join("");
+}
+
+async function loadAll() {
+  try {
+    const [{ events, webhooks }, deliveries] = await Promise.all([
+      apiRequest("/webhooks"),
+      apiRequest("/webhooks/deliveries?limit=200"),
+    ]);
+    if (!document.querySelector("#webhook-events input")) renderEventOptions(events);
+    renderWebhooks(webhooks);
+    renderDeliveries(deliveries);
+  } catch (err) {
+    showMessage(`❌ ${err.message}`, "error");
+  }
+}
+
+document.getElementById("webhook-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const events = [...document.querySelectorAll("#webhook-events input:checked")].map((input) => input.value);
+  try {
+    const webhook = await apiRequest("/webhooks", {
+      method: "POST",
+      body: JSON.stringify({
+        name: document.getElementById("webhook-name").value,
+        url: document.getElementById("webhook-url").value,
+        events,
+        scope: document.getElementById("webhook-scope").value,
+      }),
+    });
+    revealed.add(webhook.id);
+    e.target.reset();
+    document.querySelectorAll("#webhook-events input").forEach((input) => (input.checked = true));
+    showMessage("✅ Webhook added. Copy its secret to verify signatures on the receiving end.");
+    await loadAll();
+  } catch (err) {
+    showMessage(`❌ ${err.message}`, "error");
+  }
+});
+
+// One handler for the buttons of both tables
+document.querySelector(".dashboard-stats").addEventListener("click", async (e) => {
+  const { action, id, enabled } = e.target.dataset;
+  if (!action) return;
+  try {
+    if (action === "reveal") {
+      revealed.has(id) ? revealed.delete(id) : revealed.add(id);
+    } else if (action === "test") {
+      showMessage("⌛ Sending test ping...");
+      const delivery = await apiRequest(`/webhooks/${id}/test`, { method: "POST" });
+      const attempt = delivery.attempts[0];
+      if (attempt.error) showMessage(`❌ ${attempt.error}`, "error");
+      else showMessage(`✅ Receiver answered ${attempt.statusCode} in ${attempt.durationMs} ms`);
+    } else if (action === "toggle") {
+      await apiRequest(`/webhooks/${id}`, { method: "PUT", body: JSON.stringify({ enabled: enabled !== "true" }) });
+    } else if (action === "rotate") {
+      if (!confirm("Rotate the secret? The receiver has to be updated with the new one.")) return;
+      await apiRequest(`/webhooks/${id}`, { method: "PUT", body: JSON.stringify({ rotateSecret: true }) });
+      revealed.add(id);
+      showMessage("🔑 New secret issued");
+    } else if (action === "delete") {
+      if (!confirm("Delete this webhook?")) return;
+      await apiRequest(`/webhooks/${id}`, { method: "DELETE" });
+      showMessage("🗑️ Webhook deleted");
+    } else if (action === "redeliver") {
+      const delivery = await apiRequest(`/webhooks/deliveries/${id}/redeliver`, { method: "POST" });
+      const attempt = delivery.attempts[0];
+      if (attempt.error) showMessage(`❌ ${attempt.error}, retrying in the background`, "error");
+      else showMessage(`✅ Redelivered, receiver answered ${attempt.statusCode}`);
+    }
+    await loadAll();
+  } catch (err) {
+    showMessage(`❌ ${err.message}`, "error");
+  }
+});
+
+loadAll();
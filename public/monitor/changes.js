@@ -0,0 +1,123 @@
+// Monitored campaigns and the changes the scheduler found (/monitors, /monitors/changes)
+
+const FLAG_LABELS = {
+  resolution_failed: "❌ Stopped resolving",
+  broken_landing: "🔴 Landing broke",
+  new_domain: "🌐 New domain",
+  lost_clickid: "⚠️ Lost clickid",
+  lost_params: "⚠️ Lost params",
+  final_url_changed: "🔀 Final URL changed",
+  recovered: "✅ Recovered",
+};
+
+function showMessage(text, type = "success") {
+  const message = document.getElementById("changes-message");
+  message.textContent = text;
+  message.className = `admin-message ${type}`;
+}
+
+// Helper: call the API and turn error responses into exceptions
+async function apiRequest(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Server responded with ${res.status}`);
+  return data;
+}
+
+const flagBadge = (type) => `<span class="change-flag ${escapeHtml(type)}">${FLAG_LABELS[type] || escapeHtml(type)}</span>`;
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : "—");
+const formatInterval = (minutes) => (minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes} min`);
+
+// Helper: one line saying what a change was
+function describeChange(change) {
+  switch (change.type) {
+    case "resolution_failed":
+      return `stopped resolving${change.errorType ? ` (${escapeHtml(change.errorType)})` : ""}: ${escapeHtml(change.error || "no final URL")}`;
+    case "broken_landing":
+      return `landing page is ${escapeHtml(change.to)}${change.from ? ` (was ${escapeHtml(change.from)})` : ""}`;
+    case "new_domain":
+      return `lands on <strong>${escapeHtml(change.to)}</strong> instead of ${escapeHtml(change.from)}`;
+    case "lost_clickid":
+      return `final URL no longer carries a clickid (was <code>${escapeHtml(change.from)}</code>)`;
+    case "lost_params":
+      return `final URL lost ${change.params.map((p) => `<code>${escapeHtml(p)}</code>`).join(", ")}`;
+    case "final_url_changed":
+      return `final URL changed from ${escapeHtml(change.from)}`;
+    case "recovered":
+      return `resolves again, landing is ${escapeHtml(change.to || "unchecked")}`;
+    default:
+      return escapeHtml(change.type);
+  }
+}
+
+function renderMonitors(monitors) {
+  const tbody = document.getElementById("monitors-body");
+  if (monitors.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="7" class="empty-state">No campaigns are monitored yet. Pick an interval in the campaign table to start.</td></tr>`;
+    return;
+  }
+  tbody.innerHTML = monitors.map((m) => `
+    <tr>
+      <td class="url-text">${escapeHtml(m.url)}${m.tags ? `<br><small>${escapeHtml(m.tags)}</small>` : ""}</td>
+      <td><span class="region-badge">${escapeHtml(m.region)}</span></td>
+      <td>${m.enabled ? formatInterval(m.intervalMinutes) : "⏸️ paused"}</td>
+      <td>${formatTime(m.lastCheckedAt)}<br><small>next ${formatTime(m.nextRunAt)}</small></td>
+      <td class="url-text">${m.last ? escapeHtml(m.last.finalUrl || `❌ ${m.last.errorType || "failed"}`) : "—"}</td>
+      <td>${m.flags.length ? m.flags.map(flagBadge).join("") : "—"}</td>
+      <td>
+        <button class="admin-btn small" data-run="${m.id}">Check now</button>
+        ${m.flags.length ? `<button class="admin-btn small" data-ack="${m.id}">Ack</button>` : ""}
+      </td>
+    </tr>
+  `).join("");
+}
+
+function renderChanges(changes) {
+  const feed = document.getElementById("changes-feed");
+  if (changes.length === 0) {
+    feed.innerHTML = `<div class="empty-state">✅ No changes recorded</div>`;
+    return;
+  }
+  feed.innerHTML = `<ul class="change-list">${changes.map((change) => `
+    <li>
+      ${flagBadge(change.type)}
+      <strong class="url-text">${escapeHtml(change.url)}</strong> [${escapeHtml(change.region)}] ${describeChange(change)}
+      <br><small>${formatTime(change.at)}${change.finalUrl ? ` · now ${escapeHtml(change.finalUrl)}` : ""}</small>
+    </li>
+  `).join("")}</ul>`;
+}
+
+async function loadAll() {
+  try {
+    const [monitors, changes] = await Promise.all([apiRequest("/monitors"), apiRequest("/monitors/changes?limit=200")]);
+    renderMonitors(monitors);
+    renderChanges(changes);
+  } catch (err) {
+    showMessage(`❌ ${err.message}`, "error");
+  }
+}
+
+document.getElementById("monitors-body").addEventListener("click", async (e) => {
+  const { run, ack } = e.target.dataset;
+  if (!run && !ack) return;
+  e.target.disabled = true;
+  try {
+    if (run) {
+      showMessage("⌛ Checking...");
+      const monitor = await apiRequest(`/monitors/${run}/run`, { method: "POST" });
+      showMessage(monitor.flags.length ? `🔔 ${monitor.flags.map((f) => FLAG_LABELS[f] || f).join(", ")}` : "✅ Checked, nothing changed");
+    } else {
+      await apiRequest(`/monitors/${ack}/acknowledge`, { method: "POST" });
+      showMessage("👁️ Changes acknowledged");
+    }
+    await loadAll();
+  } catch (err) {
+    showMessage(`❌ ${err.message}`, "error");
+    e.target.disabled = false;
+  }
+});
+
+loadAll();
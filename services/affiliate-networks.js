@@ -0,0 +1,146 @@
+// services/affiliate-networks.js
+// Rule-based affiliate network detection for redirect hops and final URLs.
+// A rule matches on the host (tracking domains) or on params only that network sets on landing pages,
+// then pulls IDs out of named query params or named groups in a path pattern.
+import { readJsonFile } from './json-store.js';
+
+export const ID_FIELDS = ['publisherId', 'advertiserId', 'clickId', 'adId'];
+
+const DEFAULT_NETWORK_RULES = [
+  {
+    network: 'Awin',
+    hosts: ['awin1.com', 'awin.com', 'zenaps.com'],
+    landingParams: ['awc'],
+    ids: { publisherId: ['awinaffid', 'affid'], advertiserId: ['awinmid', 'mid'], clickId: ['awc'] },
+  },
+  {
+    network: 'CJ',
+    hosts: ['anrdoezrs.net', 'dpbolvw.net', 'jdoqocy.com', 'kqzyfj.com', 'tkqlhce.com', 'emjcd.com', 'qksrv.net', 'ftjcfx.com'],
+    landingParams: ['cjevent'],
+    ids: { clickId: ['cjevent', 'cjdata'] },
+    // e.g. /click-8123456-13579246 → publisher website id, ad id
+    pathPattern: '^/click-(?<publisherId>\\d+)-(?<adId>\\d+)',
+  },
+  {
+    network: 'Impact',
+    hosts: ['sjv.io', 'pxf.io', 'evyy.net', 'ojrq.net', '7eer.net', 'r2p1.net', 'impact.com', 'impactradius.com'],
+    landingParams: ['irclickid', 'im_ref'],
+    ids: { publisherId: ['irpid'], clickId: ['irclickid', 'im_ref'] },
+    // e.g. /c/1234567/890123/4567 → media partner, ad, program
+    pathPattern: '^/c/(?<publisherId>\\d+)/(?<adId>\\d+)/(?<advertiserId>\\d+)',
+  },
+  {
+    network: 'Rakuten',
+    hosts: ['linksynergy.com', 'rakutenmarketing.com', 'rakutenadvertising.com'],
+    landingParams: ['ranMID', 'ranSiteID', 'ranEAID'],
+    ids: { publisherId: ['id', 'ranEAID'], advertiserId: ['mid', 'ranMID'], clickId: ['ranSiteID', 'u1'] },
+  },
+  {
+    network: 'Partnerize',
+    hosts: ['prf.hn', 'partnerize.com'],
+    landingParams: [],
+    ids: { clickId: ['clickref'] },
+    // e.g. /click/camref:1100l3Bxz/pubref:abc/destination:...
+    pathPattern: '/camref:(?<publisherId>[^/]+)(?:.*?/pubref:(?<clickId>[^/]+))?',
+  },
+  {
+    network: 'TradeDoubler',
+    hosts: ['tradedoubler.com'],
+    landingParams: ['tduid'],
+    ids: { publisherId: ['a'], advertiserId: ['p'], adId: ['g'], clickId: ['tduid'] },
+  },
+];
+
+// Rules from DATA_DIR/affiliate-networks.json come first, so a custom rule can override a built-in one
+let networkRules = [];
+(await loadCustomRules()).concat(DEFAULT_NETWORK_RULES).forEach(rule => {
+  try {
+    registerNetworkRule(rule);
+  } catch (err) {
+    console.error(`[ERROR] Skipping affiliate network rule ${rule?.network}:`, err.message);
+  }
+});
+
+async function loadCustomRules() {
+  try {
+    const rules = await readJsonFile('affiliate-networks.json', []);
+    return Array.isArray(rules) ? rules : [];
+  } catch (err) {
+    console.error('[ERROR] Failed to load custom affiliate network rules:', err.message);
+    return [];
+  }
+}
+
+// Add a detection rule; later rules for an already known network are ignored
+export function registerNetworkRule(rule) {
+  if (!rule?.network || networkRules.some(r => r.network === rule.network)) return false;
+  networkRules.push({
+    network: rule.network,
+    hosts: (rule.hosts || []).map(host => host.toLowerCase()),
+    landingParams: rule.landingParams || [],
+    ids: rule.ids || {},
+    pathPattern: rule.pathPattern ? new RegExp(rule.pathPattern) : null,
+  });
+  return true;
+}
+
+export function getNetworkRules() {
+  return networkRules.map(rule => ({ ...rule, pathPattern: rule.pathPattern?.source || null }));
+}
+
+const hostMatches = (hostname, host) => hostname === host || hostname.endsWith(`.${host}`);
+
+// Helper: pull the rule's IDs out of a parsed URL; query params win over path groups
+function extractIds(rule, parsed) {
+  const ids = {};
+  const pathGroups = rule.pathPattern?.exec(parsed.pathname)?.groups || {};
+  ID_FIELDS.forEach(field => {
+    const key = (rule.ids[field] || []).find(name => parsed.searchParams.has(name));
+    const value = key ? parsed.searchParams.get(key) : pathGroups[field];
+    if (value) ids[field] = value;
+  });
+  return ids;
+}
+
+// Network for one URL, or null. matchedBy tells whether it was the tracking host or a landing param
+export function detectNetwork(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const hostname = parsed.hostname.toLowerCase();
+
+  for (const rule of networkRules) {
+    if (rule.hosts.some(host => hostMatches(hostname, host))) {
+      return { network: rule.network, matchedBy: 'host', ...extractIds(rule, parsed) };
+    }
+  }
+  // Landing pages only carry the network's click params; host rules are checked first on purpose
+  for (const rule of networkRules) {
+    if (rule.landingParams.some(param => parsed.searchParams.has(param))) {
+      return { network: rule.network, matchedBy: 'param', ...extractIds(rule, parsed) };
+    }
+  }
+  return null;
+}
+
+// Label every hop and the resolution as a whole. The first network in the chain is the one
+// the campaign runs through; its IDs are merged from every hop it was seen on.
+export function detectAffiliateNetworks(chain = [], finalUrl = null) {
+  const hops = chain.map(hop => ({ ...hop, network: detectNetwork(hop.url) }));
+  const detections = hops.map(hop => hop.network).filter(Boolean);
+  if (finalUrl && finalUrl !== chain[chain.length - 1]?.url) {
+    const finalDetection = detectNetwork(finalUrl);
+    if (finalDetection) detections.push(finalDetection);
+  }
+
+  const networks = [...new Set(detections.map(d => d.network))];
+  const primary = networks[0] || null;
+  const affiliate = { network: primary, networks };
+  ID_FIELDS.forEach(field => {
+    affiliate[field] = detections.find(d => d.network === primary && d[field])?.[field] || null;
+  });
+  return { chain: hops, affiliate };
+}
@@ -0,0 +1,209 @@
+// services/browser-pool.js
+// Per-region pool of warm browser connections so each resolution skips the connect handshake.
+// Every lease gets its own incognito context, so resolutions sharing a connection never see each other's cookies or cache.
+import { openBrowser, regionZoneMap } from './browser-providers.js';
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return isNaN(value) || process.env[name] === undefined ? fallback : value;
+}
+
+const poolConfig = {
+  maxConnections: envNumber('BROWSER_POOL_MAX_CONNECTIONS', 3),     // per region
+  maxPagesPerConnection: envNumber('BROWSER_POOL_MAX_PAGES', 2),    // open at the same time
+  maxUsesPerConnection: envNumber('BROWSER_POOL_MAX_USES', 25),     // then the session is recycled
+  idleTimeout: envNumber('BROWSER_POOL_IDLE_TIMEOUT', 30000),       // ms before an unused connection is closed
+  acquireTimeout: envNumber('BROWSER_POOL_ACQUIRE_TIMEOUT', 60000), // ms to wait for a free slot
+};
+
+const pools = {};
+let nextConnectionId = 1;
+
+// Pools are only made for known regions, so a made-up region string can't grow the map
+function getPool(region) {
+  const key = String(region).toUpperCase();
+  if (!Object.hasOwn(regionZoneMap, key)) throw new Error(`Unknown region: ${region}`);
+  if (!pools[key]) {
+    pools[key] = {
+      region: key,
+      connections: [],
+      opening: 0,
+      waiting: [],
+      stats: { connectionsOpened: 0, connectionsClosed: 0, pagesCreated: 0, leases: 0, waitTimeouts: 0, openFailures: 0 },
+    };
+  }
+  return pools[key];
+}
+
+// Helper: close a connection and drop it from its pool
+async function retireConnection(pool, conn) {
+  if (conn.retired) return;
+  conn.retired = true;
+  clearTimeout(conn.idleTimer);
+  pool.connections = pool.connections.filter(c => c !== conn);
+  pool.stats.connectionsClosed++;
+
+  try {
+    await conn.release();
+  } catch (err) {
+    console.log(`[POOL] Failed to close ${pool.region} connection #${conn.id}: ${err.message}`);
+  }
+  wakeWaiter(pool);
+}
+
+function scheduleIdleClose(pool, conn) {
+  clearTimeout(conn.idleTimer);
+  conn.idleTimer = setTimeout(() => {
+    if (conn.activePages === 0) retireConnection(pool, conn);
+  }, poolConfig.idleTimeout);
+  conn.idleTimer.unref?.();
+}
+
+function wakeWaiter(pool) {
+  const waiter = pool.waiting.shift();
+  if (waiter) waiter.wake();
+}
+
+// A connection that failed to open fails everyone waiting in the region too, instead of leaving them to time out
+function failWaiters(pool, err) {
+  const waiting = pool.waiting;
+  pool.waiting = [];
+  waiting.forEach(waiter => waiter.fail(err));
+}
+
+function hasCapacity(conn) {
+  return !conn.retired && !conn.draining &&
+    conn.activePages < poolConfig.maxPagesPerConnection &&
+    conn.uses < poolConfig.maxUsesPerConnection;
+}
+
+async function openConnection(pool) {
+  pool.opening++;
+  try {
+    const { browser, provider, release } = await openBrowser(pool.region);
+    const conn = {
+      id: nextConnectionId++,
+      browser,
+      provider,
+      release,
+      activePages: 0,
+      uses: 0,
+      idleTimer: null,
+      retired: false,
+      draining: false, // no new leases, closed once its last page is released
+      openedAt: Date.now(),
+    };
+    // Remote sessions can be dropped by the provider at any time
+    browser.once('disconnected', () => retireConnection(pool, conn));
+    pool.connections.push(conn);
+    pool.stats.connectionsOpened++;
+    return conn;
+  } catch (err) {
+    pool.stats.openFailures++;
+    failWaiters(pool, err);
+    throw err;
+  } finally {
+    pool.opening--;
+  }
+}
+
+// Helper: wait until a page slot frees up in the region
+function waitForSlot(pool) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pool.waiting = pool.waiting.filter(w => w !== waiter);
+      pool.stats.waitTimeouts++;
+      reject(new Error(`Timed out waiting for a browser connection in region: ${pool.region}`));
+    }, poolConfig.acquireTimeout);
+    const waiter = {
+      wake() {
+        clearTimeout(timer);
+        resolve();
+      },
+      fail(err) {
+        clearTimeout(timer);
+        reject(err);
+      },
+    };
+    pool.waiting.push(waiter);
+  });
+}
+
+async function leaseConnection(pool) {
+  for (;;) {
+    const conn = pool.connections.find(hasCapacity);
+    if (conn) return conn;
+
+    if (pool.connections.length + pool.opening < poolConfig.maxConnections) {
+      return openConnection(pool);
+    }
+    await waitForSlot(pool);
+  }
+}
+
+// Get a page for a region; call release() exactly once when done with it
+export async function acquirePage(region) {
+  const pool = getPool(region);
+  const conn = await leaseConnection(pool);
+
+  conn.activePages++;
+  conn.uses++;
+  clearTimeout(conn.idleTimer);
+  pool.stats.leases++;
+
+  let context;
+  let page;
+  try {
+    context = await conn.browser.createBrowserContext();
+    page = await context.newPage();
+    pool.stats.pagesCreated++;
+  } catch (err) {
+    // Other leases may still be using this connection: only a dead one is retired, otherwise the slot is freed
+    conn.activePages--;
+    await context?.close().catch(() => {});
+    if (!conn.browser.connected) {
+      await retireConnection(pool, conn);
+    } else {
+      if (conn.activePages === 0) scheduleIdleClose(pool, conn);
+      wakeWaiter(pool);
+    }
+    throw err;
+  }
+
+  let released = false;
+  return {
+    page,
+    provider: conn.provider,
+    // Closing the context takes the page, its cookies and its cache with it.
+    // newSession=true drains the whole connection so the next lease gets a different exit IP
+    async release({ newSession = false } = {}) {
+      if (released) return;
+      released = true;
+      conn.activePages--;
+      if (newSession) conn.draining = true;
+      await context.close().catch(() => {});
+
+      if ((conn.uses >= poolConfig.maxUsesPerConnection || conn.draining) && conn.activePages === 0) {
+        await retireConnection(pool, conn);
+      } else if (conn.activePages === 0) {
+        scheduleIdleClose(pool, conn);
+      }
+      wakeWaiter(pool);
+    },
+  };
+}
+
+// Pool statistics for /system-info
+export function getPoolStats() {
+  const regions = {};
+  Object.values(pools).forEach(pool => {
+    regions[pool.region] = {
+      connections: pool.connections.length,
+      opening: pool.opening,
+      activePages: pool.connections.reduce((sum, c) => sum + c.activePages, 0),
+      waiting: pool.waiting.length,
+      ...pool.stats,
+    };
+  });
+  return { config: poolConfig, regions };
+}
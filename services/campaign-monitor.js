@@ -0,0 +1,276 @@
+// services/campaign-monitor.js
+// Server-side monitoring of saved campaigns: every campaign gets re-resolved on its own interval,
+// each result is compared with the previous one and what changed goes on the campaign and into a changes feed.
+import 'dotenv/config';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { readJsonFile, saveJsonFile, RegistryError } from './json-store.js';
+
+const MONITORS_FILE = 'campaign-monitors.json';
+const CHANGES_FILE = 'campaign-changes.json';
+const TICK_MS = (Number(process.env.MONITOR_TICK_SECONDS) || 60) * 1000;
+const MONITOR_CONCURRENCY = Number(process.env.MONITOR_CONCURRENCY) || 2;
+const MAX_CHANGES = Number(process.env.MONITOR_MAX_CHANGES) || 1000;
+export const MIN_INTERVAL_MINUTES = Number(process.env.MONITOR_MIN_INTERVAL_MINUTES) || 15;
+export const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+
+// What a change means for the campaign, most serious first
+export const CHANGE_TYPES = [
+  'resolution_failed', // resolved before, doesn't now
+  'broken_landing',    // landing turned broken, parked or expired
+  'new_domain',        // final URL moved to another host
+  'lost_clickid',      // the click id the final URL used to carry is gone
+  'lost_params',       // other tracking params the final URL used to carry are gone
+  'final_url_changed', // same host, different path or parameter names
+  'recovered',         // resolves (or lands healthy) again after a failure
+];
+const UNHEALTHY_LANDINGS = ['broken', 'parked', 'expired'];
+
+// 'change' fires with every recorded change, after it's saved
+export const monitorEvents = new EventEmitter();
+
+let monitors = await readJsonFile(MONITORS_FILE, []).catch(err => {
+  console.error('[ERROR] Failed to load campaign monitors:', err.message);
+  return [];
+});
+let changes = await readJsonFile(CHANGES_FILE, []).catch(err => {
+  console.error('[ERROR] Failed to load campaign changes:', err.message);
+  return [];
+});
+const running = new Set(); // monitor ids being checked right now
+
+function save() {
+  return Promise.all([saveJsonFile(MONITORS_FILE, monitors), saveJsonFile(CHANGES_FILE, changes)]);
+}
+
+// Helper: validate the campaign fields a monitor keeps; partial for updates
+function normalizeMonitor(input = {}, { partial = false } = {}) {
+  const normalized = {};
+  if (!partial || input.url !== undefined) {
+    try {
+      normalized.url = new URL(String(input.url).trim()).href;
+    } catch {
+      throw new RegistryError('Invalid URL format');
+    }
+  }
+  if (!partial || input.region !== undefined) normalized.region = String(input.region || 'US').trim().toUpperCase();
+  if (!partial || input.uaType !== undefined) normalized.uaType = input.uaType || 'random';
+  if (!partial || input.tags !== undefined) normalized.tags = input.tags ? String(input.tags) : '';
+  if (!partial || input.intervalMinutes !== undefined) {
+    const intervalMinutes = Number(input.intervalMinutes ?? 60);
+    if (!Number.isInteger(intervalMinutes) || intervalMinutes < MIN_INTERVAL_MINUTES || intervalMinutes > MAX_INTERVAL_MINUTES) {
+      throw new RegistryError(`Invalid intervalMinutes, expected whole minutes from ${MIN_INTERVAL_MINUTES} to ${MAX_INTERVAL_MINUTES}`);
+    }
+    normalized.intervalMinutes = intervalMinutes;
+  }
+  if (!partial || input.enabled !== undefined) normalized.enabled = input.enabled !== false;
+  // Resolve options the page saved with the campaign (settle, strictRegion, intercept, method)
+  if (!partial || input.options !== undefined) {
+    if (input.options !== undefined && (typeof input.options !== 'object' || Array.isArray(input.options))) {
+      throw new RegistryError('options must be an object');
+    }
+    normalized.options = input.options || {};
+  }
+  return normalized;
+}
+
+const canSee = (monitor, user) => user?.role === 'admin' || monitor.ownerId === user?.id;
+
+function findMonitor(id, user) {
+  const monitor = monitors.find(m => m.id === id);
+  if (!monitor || !canSee(monitor, user)) throw new RegistryError('Monitor not found', 404);
+  return monitor;
+}
+
+export function listMonitors(user) {
+  return structuredClone(monitors.filter(monitor => canSee(monitor, user)));
+}
+
+// validate(monitor) lets the caller reject options it can't resolve with; it throws to refuse
+export async function addMonitor(input, user, validate = () => {}) {
+  const monitor = {
+    id: crypto.randomUUID(),
+    ownerId: user.id,
+    ...normalizeMonitor(input),
+    createdAt: new Date().toISOString(),
+    nextRunAt: new Date().toISOString(), // first check on the next tick, that's the baseline
+    lastCheckedAt: null,
+    last: null,
+    flags: [],
+  };
+  validate(monitor);
+  monitors = [...monitors, monitor];
+  await save();
+  return structuredClone(monitor);
+}
+
+export async function updateMonitor(id, input, user, validate = () => {}) {
+  const monitor = findMonitor(id, user);
+  const updated = { ...monitor, ...normalizeMonitor(input, { partial: true }) };
+  validate(updated);
+  // Another URL, region or device is another baseline: the edit itself isn't a change worth flagging
+  if (['url', 'region', 'uaType'].some(field => updated[field] !== monitor[field])) {
+    updated.last = null;
+    updated.lastCheckedAt = null;
+    updated.nextRunAt = new Date().toISOString();
+  }
+  // A new interval counts from the last check, so shortening it can make the campaign due right away
+  if (updated.intervalMinutes !== monitor.intervalMinutes && monitor.lastCheckedAt) {
+    updated.nextRunAt = new Date(Date.parse(monitor.lastCheckedAt) + updated.intervalMinutes * 60000).toISOString();
+  }
+  monitors = monitors.map(m => (m.id === id ? updated : m));
+  await save();
+  return structuredClone(updated);
+}
+
+export async function removeMonitor(id, user) {
+  findMonitor(id, user);
+  monitors = monitors.filter(m => m.id !== id);
+  await save();
+}
+
+// Flags stay on the campaign until someone has looked at them
+export async function acknowledgeMonitor(id, user) {
+  const monitor = findMonitor(id, user);
+  monitor.flags = [];
+  await save();
+  return structuredClone(monitor);
+}
+
+// Newest first; users see the changes of their own campaigns, admins everyone's
+export function getChanges(user, { monitorId = null, limit = 100 } = {}) {
+  return changes
+    .filter(change => (user?.role === 'admin' || change.ownerId === user?.id) && (!monitorId || change.monitorId === monitorId))
+    .slice(-limit)
+    .reverse();
+}
+
+// Helper: the parts of a /resolve response a later check is compared with
+function summarizeResult(result) {
+  const present = (result.trackingParams || []).filter(p => p.present);
+  let host = null;
+  let path = null;
+  let paramNames = [];
+  if (result.finalUrl) {
+    const parsed = new URL(result.finalUrl);
+    host = parsed.host;
+    path = parsed.pathname;
+    paramNames = [...new Set(parsed.searchParams.keys())].sort();
+  }
+  return {
+    checkedAt: new Date().toISOString(),
+    finalUrl: result.finalUrl || null,
+    host,
+    path,
+    paramNames,
+    trackingParams: present.map(p => p.name),
+    clickId: present.find(p => p.name === 'clickid')?.value || result.affiliate?.clickId || null,
+    landingStatus: result.landingStatus || null,
+    errorType: result.errorType || null,
+    error: result.error || null,
+    actualRegion: result.actualRegion || null,
+    regionMatch: result.regionMatch ?? null,
+  };
+}
+
+// Compare two summaries. Parameter values are ignored on purpose: click ids and timestamps differ on every visit.
+// Without a previous check only failures and bad landings count
+export function detectChanges(previous, current) {
+  const found = [];
+  const add = (type, details) => found.push({ type, ...details });
+
+  if (!current.finalUrl) {
+    if (!previous || previous.finalUrl) add('resolution_failed', { error: current.error, errorType: current.errorType });
+    return found;
+  }
+  if (UNHEALTHY_LANDINGS.includes(current.landingStatus) && previous?.landingStatus !== current.landingStatus) {
+    add('broken_landing', { from: previous?.landingStatus || null, to: current.landingStatus });
+  }
+  if (!previous) return found;
+
+  if (!previous.finalUrl || (UNHEALTHY_LANDINGS.includes(previous.landingStatus) && current.landingStatus === 'healthy')) {
+    add('recovered', { from: previous.finalUrl ? previous.landingStatus : previous.errorType, to: current.landingStatus });
+  }
+  if (!previous.finalUrl) return found;
+
+  if (previous.host !== current.host) {
+    add('new_domain', { from: previous.host, to: current.host });
+  } else if (previous.path !== current.path || previous.paramNames.join('&') !== current.paramNames.join('&')) {
+    add('final_url_changed', { from: previous.finalUrl, to: current.finalUrl });
+  }
+  if (previous.clickId && !current.clickId) add('lost_clickid', { from: previous.clickId });
+  const lost = previous.trackingParams.filter(name => name !== 'clickid' && !current.trackingParams.includes(name));
+  if (lost.length) add('lost_params', { params: lost });
+  return found;
+}
+
+// Check one monitor now; resolve(monitor) returns a /resolve style response
+async function checkMonitor(monitor, resolve) {
+  running.add(monitor.id);
+  try {
+    let result;
+    try {
+      result = await resolve(monitor);
+    } catch (err) {
+      result = { finalUrl: null, error: err.message };
+    }
+    // The monitor may have been removed or edited while it was resolving
+    const current = monitors.find(m => m.id === monitor.id);
+    if (!current) return null;
+
+    const summary = summarizeResult(result);
+    const found = detectChanges(current.last, summary);
+    current.last = summary;
+    current.lastCheckedAt = summary.checkedAt;
+    current.nextRunAt = new Date(Date.now() + current.intervalMinutes * 60000).toISOString();
+
+    const recorded = found.map(change => ({
+      id: crypto.randomUUID(),
+      monitorId: current.id,
+      ownerId: current.ownerId,
+      url: current.url,
+      region: current.region,
+      uaType: current.uaType,
+      tags: current.tags,
+      at: summary.checkedAt,
+      finalUrl: summary.finalUrl,
+      ...change,
+    }));
+    if (recorded.length) {
+      current.flags = [...new Set([...current.flags, ...recorded.map(c => c.type)])]
+        .sort((a, b) => CHANGE_TYPES.indexOf(a) - CHANGE_TYPES.indexOf(b));
+      changes = [...changes, ...recorded].slice(-MAX_CHANGES);
+      console.log(`🔔 Campaign ${current.url} [${current.region}] changed: ${recorded.map(c => c.type).join(', ')}`);
+    }
+    await save();
+    recorded.forEach(change => monitorEvents.emit('change', change, structuredClone(current)));
+    return structuredClone(current);
+  } finally {
+    running.delete(monitor.id);
+  }
+}
+
+// Run a check right away, outside the schedule (the "check now" button)
+export async function runMonitorNow(id, user, resolve) {
+  const monitor = findMonitor(id, user);
+  if (running.has(id)) throw new RegistryError('This campaign is being checked right now', 409);
+  return checkMonitor(monitor, resolve);
+}
+
+// Start the scheduler. Every tick starts the campaigns that are due, never more than MONITOR_CONCURRENCY at once;
+// the rest wait for a later tick
+export function startCampaignMonitor(resolve) {
+  const tick = () => {
+    const now = Date.now();
+    const due = monitors
+      .filter(m => m.enabled && !running.has(m.id) && Date.parse(m.nextRunAt) <= now)
+      .sort((a, b) => Date.parse(a.nextRunAt) - Date.parse(b.nextRunAt))
+      .slice(0, Math.max(0, MONITOR_CONCURRENCY - running.size));
+    due.forEach(monitor => {
+      checkMonitor(monitor, resolve).catch(err => console.error(`[ERROR] Monitor check of ${monitor.url} failed:`, err.message));
+    });
+  };
+  console.log(`⏰ Campaign monitor started: ${monitors.length} campaigns, checking every ${TICK_MS / 1000}s for due ones`);
+  setInterval(tick, TICK_MS).unref();
+  setTimeout(tick, 5000).unref();
+}
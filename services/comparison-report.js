@@ -0,0 +1,93 @@
+// services/comparison-report.js
+// One URL resolved across regions × device types: group identical outcomes, diff every final URL
+// against the most common one (host, path, each query parameter) and call out domain changes and lost params.
+
+// Helper: what a resolution ended on, split into the parts we diff
+function describeOutcome(result) {
+  if (!result.finalUrl) {
+    return { key: `error:${result.errorType || 'unknown'}`, finalUrl: null, host: null, path: null, params: {}, error: result.error || 'Final URL not resolved', errorType: result.errorType || null };
+  }
+  const parsed = new URL(result.finalUrl);
+  const params = {};
+  parsed.searchParams.forEach((value, name) => {
+    params[name] = name in params ? [].concat(params[name], value) : value;
+  });
+  // Same host, path and parameters in any order is the same outcome
+  const sorted = [...parsed.searchParams].sort(([a], [b]) => a.localeCompare(b));
+  const key = `${parsed.host}${parsed.pathname}?${new URLSearchParams(sorted)}`;
+  return { key, finalUrl: result.finalUrl, host: parsed.host, path: parsed.pathname, params, error: null, errorType: result.errorType || null };
+}
+
+// Helper: host/path/parameter differences of an outcome against the baseline
+function diffOutcome(outcome, baseline) {
+  if (!outcome.finalUrl || !baseline) return null;
+  const added = {};
+  const changed = {};
+  Object.entries(outcome.params).forEach(([name, value]) => {
+    if (!(name in baseline.params)) added[name] = value;
+    else if (JSON.stringify(value) !== JSON.stringify(baseline.params[name])) changed[name] = { from: baseline.params[name], to: value };
+  });
+  const removed = Object.keys(baseline.params).filter(name => !(name in outcome.params));
+  return {
+    hostChanged: outcome.host !== baseline.host,
+    pathChanged: outcome.path !== baseline.path,
+    params: { added, removed, changed },
+  };
+}
+
+// cells: [{ region, uaType, result }] where result is a /resolve response (or { error } when it never ran)
+export function buildComparisonReport(originalUrl, cells) {
+  const groupsByKey = new Map();
+  const rows = cells.map(({ region, uaType, result }) => {
+    const outcome = describeOutcome(result);
+    if (!groupsByKey.has(outcome.key)) groupsByKey.set(outcome.key, { ...outcome, cells: [] });
+    groupsByKey.get(outcome.key).cells.push({ region, uaType });
+    return { region, uaType, result, outcome };
+  });
+
+  // Biggest group of real final URLs first; that one is the baseline everything else is compared with
+  const groups = [...groupsByKey.values()].sort((a, b) =>
+    Boolean(b.finalUrl) - Boolean(a.finalUrl) || b.cells.length - a.cells.length);
+  groups.forEach((group, index) => {
+    group.id = index < 26 ? String.fromCharCode(65 + index) : `G${index + 1}`;
+  });
+  const baseline = groups[0]?.finalUrl ? groups[0] : null;
+
+  const highlights = { domainChanges: [], lostParams: [], failures: [] };
+  const matrix = rows.map(({ region, uaType, result, outcome }) => {
+    const group = groupsByKey.get(outcome.key);
+    const diff = diffOutcome(outcome, baseline);
+    // Lost: on the baseline but not here, plus required registry params the final URL doesn't carry
+    const lostParams = outcome.finalUrl ? [...new Set([...(diff?.params.removed || []), ...(result.missingParams || [])])] : [];
+
+    if (!outcome.finalUrl) highlights.failures.push({ region, uaType, errorType: outcome.errorType, error: outcome.error });
+    if (diff?.hostChanged) highlights.domainChanges.push({ region, uaType, host: outcome.host, baselineHost: baseline.host });
+    if (lostParams.length) highlights.lostParams.push({ region, uaType, params: lostParams });
+
+    return {
+      region,
+      uaType,
+      group: group.id,
+      finalUrl: outcome.finalUrl,
+      deviceProfile: result.deviceProfile?.name || null,
+      actualRegion: result.actualRegion || null,
+      regionMatch: result.regionMatch ?? null,
+      landingStatus: result.landingStatus || null,
+      affiliateNetwork: result.affiliate?.network || null,
+      errorType: outcome.errorType,
+      error: outcome.error,
+      diff,
+      lostParams,
+    };
+  });
+
+  return {
+    originalUrl,
+    regions: [...new Set(cells.map(cell => cell.region))],
+    uaTypes: [...new Set(cells.map(cell => cell.uaType))],
+    baseline: baseline?.id || null,
+    groups: groups.map(({ id, key, ...group }) => ({ id, ...group, diff: diffOutcome(group, baseline) })),
+    matrix,
+    highlights,
+  };
+}
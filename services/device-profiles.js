@@ -0,0 +1,380 @@
+// services/device-profiles.js
+// Admin-managed catalog of device profiles: UA string, client hints, viewport, touch and platform
+// that belong together, plus locale and timezone taken from the region we resolve from.
+import { readJsonFile, saveJsonFile, RegistryError } from './json-store.js';
+
+const CATALOG_FILE = 'device-profiles.json';
+
+const chromeBrands = (version) => [
+  { brand: 'Chromium', version },
+  { brand: 'Google Chrome', version },
+  { brand: 'Not)A;Brand', version: '99' },
+];
+
+// Seed catalog, used until an admin edits it
+const DEFAULT_DEVICE_PROFILES = [
+  {
+    name: 'iPhone 15 Safari',
+    tags: ['safari', 'ios'],
+    enabled: true,
+    type: 'mobile',
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
+    platform: 'iPhone',
+    clientHints: null, // Safari doesn't send UA client hints
+    viewport: { width: 393, height: 852, deviceScaleFactor: 3, isMobile: true, hasTouch: true },
+  },
+  {
+    name: 'iPhone 13 Safari',
+    tags: ['safari', 'ios'],
+    enabled: true,
+    type: 'mobile',
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.6 Mobile/15E148 Safari/604.1',
+    platform: 'iPhone',
+    clientHints: null,
+    viewport: { width: 390, height: 844, deviceScaleFactor: 3, isMobile: true, hasTouch: true },
+  },
+  {
+    name: 'Pixel 8 Chrome',
+    tags: ['chrome', 'android'],
+    enabled: true,
+    type: 'mobile',
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36',
+    platform: 'Linux armv81',
+    clientHints: { brands: chromeBrands('126'), fullVersion: '126.0.6478.122', platform: 'Android', platformVersion: '14.0.0', architecture: '', model: 'Pixel 8', mobile: true },
+    viewport: { width: 412, height: 915, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true },
+  },
+  {
+    name: 'Galaxy S24 Chrome',
+    tags: ['chrome', 'android'],
+    enabled: true,
+    type: 'mobile',
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; SM-S921B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36',
+    platform: 'Linux armv81',
+    clientHints: { brands: chromeBrands('126'), fullVersion: '126.0.6478.122', platform: 'Android', platformVersion: '14.0.0', architecture: '', model: 'SM-S921B', mobile: true },
+    viewport: { width: 360, height: 780, deviceScaleFactor: 3, isMobile: true, hasTouch: true },
+  },
+  {
+    name: 'Windows Chrome',
+    tags: ['chrome', 'windows'],
+    enabled: true,
+    type: 'desktop',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+    platform: 'Win32',
+    clientHints: { brands: chromeBrands('126'), fullVersion: '126.0.6478.127', platform: 'Windows', platformVersion: '15.0.0', architecture: 'x86', model: '', mobile: false },
+    viewport: { width: 1920, height: 1080, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  },
+  {
+    name: 'Windows Edge',
+    tags: ['edge', 'windows'],
+    enabled: true,
+    type: 'desktop',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.2592.87',
+    platform: 'Win32',
+    clientHints: {
+      brands: [{ brand: 'Not/A)Brand', version: '8' }, { brand: 'Chromium', version: '126' }, { brand: 'Microsoft Edge', version: '126' }],
+      fullVersion: '126.0.2592.87', platform: 'Windows', platformVersion: '15.0.0', architecture: 'x86', model: '', mobile: false,
+    },
+    viewport: { width: 1536, height: 864, deviceScaleFactor: 1.25, isMobile: false, hasTouch: false },
+  },
+  {
+    name: 'Mac Safari',
+    tags: ['safari', 'macos'],
+    enabled: true,
+    type: 'desktop',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15',
+    platform: 'MacIntel',
+    clientHints: null,
+    viewport: { width: 1440, height: 900, deviceScaleFactor: 2, isMobile: false, hasTouch: false },
+  },
+  {
+    name: 'Mac Chrome',
+    tags: ['chrome', 'macos'],
+    enabled: true,
+    type: 'desktop',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+    platform: 'MacIntel',
+    clientHints: { brands: chromeBrands('126'), fullVersion: '126.0.6478.127', platform: 'macOS', platformVersion: '14.5.0', architecture: 'arm', model: '', mobile: false },
+    viewport: { width: 1512, height: 982, deviceScaleFactor: 2, isMobile: false, hasTouch: false },
+  },
+  {
+    name: 'Windows Firefox',
+    tags: ['firefox', 'windows'],
+    enabled: true,
+    type: 'desktop',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:127.0) Gecko/20100101 Firefox/127.0',
+    platform: 'Win32',
+    clientHints: null, // Firefox doesn't send UA client hints
+    viewport: { width: 1366, height: 768, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  },
+];
+
+// Locale and timezone per region code; unknown regions fall back to US English / UTC
+const REGION_LOCALES = {
+  US: ['en-US', 'America/New_York'], CA: ['en-CA', 'America/Toronto'], GB: ['en-GB', 'Europe/London'],
+  AU: ['en-AU', 'Australia/Sydney'], NZ: ['en-NZ', 'Pacific/Auckland'], IN: ['en-IN', 'Asia/Kolkata'],
+  SG: ['en-SG', 'Asia/Singapore'], HK: ['zh-HK', 'Asia/Hong_Kong'], MY: ['ms-MY', 'Asia/Kuala_Lumpur'],
+  PH: ['en-PH', 'Asia/Manila'], ID: ['id-ID', 'Asia/Jakarta'], TH: ['th-TH', 'Asia/Bangkok'],
+  VN: ['vi-VN', 'Asia/Ho_Chi_Minh'], BR: ['pt-BR', 'America/Sao_Paulo'], AR: ['es-AR', 'America/Argentina/Buenos_Aires'],
+  CO: ['es-CO', 'America/Bogota'], MX: ['es-MX', 'America/Mexico_City'], PE: ['es-PE', 'America/Lima'],
+  CL: ['es-CL', 'America/Santiago'], EC: ['es-EC', 'America/Guayaquil'], BO: ['es-BO', 'America/La_Paz'],
+  UY: ['es-UY', 'America/Montevideo'], PY: ['es-PY', 'America/Asuncion'], UZ: ['uz-UZ', 'Asia/Tashkent'],
+  KZ: ['kk-KZ', 'Asia/Almaty'], KG: ['ky-KG', 'Asia/Bishkek'], AZ: ['az-AZ', 'Asia/Baku'],
+  GE: ['ka-GE', 'Asia/Tbilisi'], AM: ['hy-AM', 'Asia/Yerevan'], TM: ['tk-TM', 'Asia/Ashgabat'],
+  DE: ['de-DE', 'Europe/Berlin'], FR: ['fr-FR', 'Europe/Paris'], IT: ['it-IT', 'Europe/Rome'],
+  ES: ['es-ES', 'Europe/Madrid'], NL: ['nl-NL', 'Europe/Amsterdam'], JP: ['ja-JP', 'Asia/Tokyo'],
+  KR: ['ko-KR', 'Asia/Seoul'], RU: ['ru-RU', 'Europe/Moscow'], CN: ['zh-CN', 'Asia/Shanghai'],
+  TR: ['tr-TR', 'Europe/Istanbul'], SA: ['ar-SA', 'Asia/Riyadh'], AE: ['ar-AE', 'Asia/Dubai'],
+  EG: ['ar-EG', 'Africa/Cairo'], ZA: ['en-ZA', 'Africa/Johannesburg'], CZ: ['cs-CZ', 'Europe/Prague'],
+  UA: ['uk-UA', 'Europe/Kyiv'], PL: ['pl-PL', 'Europe/Warsaw'], AL: ['sq-AL', 'Europe/Tirane'],
+  DZ: ['ar-DZ', 'Africa/Algiers'], AD: ['ca-AD', 'Europe/Andorra'], AT: ['de-AT', 'Europe/Vienna'],
+  BS: ['en-BS', 'America/Nassau'], BD: ['bn-BD', 'Asia/Dhaka'], BE: ['nl-BE', 'Europe/Brussels'],
+  BZ: ['en-BZ', 'America/Belize'], BT: ['dz-BT', 'Asia/Thimphu'], NG: ['en-NG', 'Africa/Lagos'],
+  BG: ['bg-BG', 'Europe/Sofia'], HU: ['hu-HU', 'Europe/Budapest'], TW: ['zh-TW', 'Asia/Taipei'],
+  HR: ['hr-HR', 'Europe/Zagreb'], IL: ['he-IL', 'Asia/Jerusalem'],
+};
+
+export function getRegionLocale(region = 'US') {
+  const [locale, timezone] = REGION_LOCALES[region.toUpperCase()] || ['en-US', 'UTC'];
+  const language = locale.split('-')[0];
+  // Local language first, English as the usual fallback browsers are set up with
+  const acceptLanguage = language === 'en'
+    ? `${locale},en;q=0.9`
+    : `${locale},${language};q=0.9,en-US;q=0.8,en;q=0.7`;
+  return { locale, timezone, acceptLanguage };
+}
+
+const slug = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,29}$/;
+const UA_MODES = ['random', 'desktop', 'mobile'];
+
+let catalog = await loadCatalog();
+
+async function loadCatalog() {
+  try {
+    return await readJsonFile(CATALOG_FILE, DEFAULT_DEVICE_PROFILES);
+  } catch (err) {
+    console.error('[ERROR] Failed to load device profile catalog, using defaults:', err.message);
+    return DEFAULT_DEVICE_PROFILES;
+  }
+}
+
+function saveCatalog() {
+  return saveJsonFile(CATALOG_FILE, catalog);
+}
+
+// Helper: client hints are optional (Safari and Firefox don't send them), but complete when present
+function normalizeClientHints(hints, name) {
+  if (hints === null || hints === undefined) return null;
+  const valid = typeof hints === 'object'
+    && Array.isArray(hints.brands) && hints.brands.length > 0
+    && hints.brands.every(b => typeof b?.brand === 'string' && typeof b?.version === 'string')
+    && typeof hints.platform === 'string';
+  if (!valid) {
+    throw new RegistryError(`Invalid client hints for ${name}, expected { brands: [{ brand, version }], platform, ... }`);
+  }
+  return {
+    brands: hints.brands.map(({ brand, version }) => ({ brand, version })),
+    fullVersion: String(hints.fullVersion || `${hints.brands[0].version}.0.0.0`),
+    platform: hints.platform,
+    platformVersion: String(hints.platformVersion || ''),
+    architecture: String(hints.architecture || ''),
+    model: String(hints.model || ''),
+    mobile: Boolean(hints.mobile),
+  };
+}
+
+// Validate and normalize an entry from the admin API; viewport defaults follow the device type
+function normalizeEntry(entry = {}) {
+  const { name, type, userAgent, platform = '', tags = [], enabled = true, viewport = {} } = entry;
+  if (typeof name !== 'string' || !name.trim() || name.length > 60 || !slug(name)) {
+    throw new RegistryError(`Invalid profile name: ${name}`);
+  }
+  if (UA_MODES.includes(slug(name)) || slug(name).startsWith('tag-')) {
+    throw new RegistryError(`Profile name ${name} is reserved`);
+  }
+  if (type !== 'mobile' && type !== 'desktop') {
+    throw new RegistryError(`Invalid type for ${name}, expected mobile or desktop`);
+  }
+  if (typeof userAgent !== 'string' || !userAgent.trim()) {
+    throw new RegistryError(`Missing user agent for ${name}`);
+  }
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !TAG_PATTERN.test(tag.toLowerCase()))) {
+    throw new RegistryError(`Invalid tags for ${name}, expected short lowercase words like "chrome" or "ios"`);
+  }
+  if (typeof enabled !== 'boolean') {
+    throw new RegistryError(`Invalid enabled flag for ${name}, expected true or false`);
+  }
+
+  const isMobile = type === 'mobile';
+  const size = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+  const normalizedViewport = {
+    width: size(viewport.width, isMobile ? 390 : 1366),
+    height: size(viewport.height, isMobile ? 844 : 768),
+    deviceScaleFactor: size(viewport.deviceScaleFactor, isMobile ? 3 : 1),
+    isMobile,
+    hasTouch: viewport.hasTouch ?? isMobile,
+  };
+  const { width, height, deviceScaleFactor } = normalizedViewport;
+  if (![width, height].every(v => Number.isInteger(v) && v >= 200 && v <= 4000) || !(deviceScaleFactor > 0 && deviceScaleFactor <= 5)) {
+    throw new RegistryError(`Invalid viewport for ${name}`);
+  }
+
+  return {
+    name: name.trim(),
+    tags: [...new Set(tags.map(tag => tag.toLowerCase()))],
+    enabled,
+    type,
+    userAgent: userAgent.trim(),
+    platform: String(platform),
+    clientHints: normalizeClientHints(entry.clientHints, name),
+    viewport: { ...normalizedViewport, hasTouch: Boolean(normalizedViewport.hasTouch) },
+  };
+}
+
+// Helper: names must stay unique even after slugging, since uaType accepts either form
+function assertNoConflicts(entry, ignoreName = null) {
+  const conflict = catalog.find(other => other.name !== ignoreName && slug(other.name) === slug(entry.name));
+  if (conflict) {
+    throw new RegistryError(`Profile ${entry.name} clashes with existing profile ${conflict.name}`, 409);
+  }
+}
+
+// Helper: resolutions need something to pick from
+function assertSomethingEnabled(nextCatalog) {
+  if (!nextCatalog.some(profile => profile.enabled)) {
+    throw new RegistryError('At least one device profile has to stay enabled', 409);
+  }
+}
+
+// Full catalog for the admin page, disabled entries included
+export function getDeviceProfiles() {
+  return structuredClone(catalog);
+}
+
+// What the resolve form can offer: enabled profiles and the tags they carry
+export function getEnabledDeviceProfiles() {
+  const profiles = catalog.filter(profile => profile.enabled)
+    .map(({ name, type, tags, userAgent }) => ({ name, type, tags, userAgent }));
+  const tags = [...new Set(profiles.flatMap(profile => profile.tags))].sort();
+  return { modes: UA_MODES, tags, profiles };
+}
+
+export async function addDeviceProfile(entry) {
+  const normalized = normalizeEntry(entry);
+  assertNoConflicts(normalized);
+  catalog = [...catalog, normalized];
+  await saveCatalog();
+  return normalized;
+}
+
+export async function updateDeviceProfile(name, changes) {
+  const existing = catalog.find(profile => profile.name === name);
+  if (!existing) throw new RegistryError(`Unknown device profile: ${name}`, 404);
+
+  const normalized = normalizeEntry({
+    ...existing,
+    ...changes,
+    viewport: { ...existing.viewport, ...changes.viewport },
+  });
+  assertNoConflicts(normalized, name);
+  const nextCatalog = catalog.map(profile => (profile.name === name ? normalized : profile));
+  assertSomethingEnabled(nextCatalog);
+  catalog = nextCatalog;
+  await saveCatalog();
+  return normalized;
+}
+
+export async function removeDeviceProfile(name) {
+  if (!catalog.some(profile => profile.name === name)) {
+    throw new RegistryError(`Unknown device profile: ${name}`, 404);
+  }
+  const nextCatalog = catalog.filter(profile => profile.name !== name);
+  assertSomethingEnabled(nextCatalog);
+  catalog = nextCatalog;
+  await saveCatalog();
+}
+
+// Enabled profile by name ("Pixel 8 Chrome" or "pixel-8-chrome")
+export function findDeviceProfile(name) {
+  if (!name) return null;
+  return catalog.find(profile => profile.enabled && (profile.name === name || slug(profile.name) === slug(name))) || null;
+}
+
+// Helper: enabled profiles a uaType can pick from; empty for an unknown uaType
+function candidatesFor(uaType = 'random') {
+  const enabled = catalog.filter(profile => profile.enabled);
+  if (uaType === 'random') return enabled;
+  if (uaType === 'desktop' || uaType === 'mobile') {
+    // With every profile of one type disabled, any enabled device beats failing the resolution
+    const ofType = enabled.filter(profile => profile.type === uaType);
+    return ofType.length ? ofType : enabled;
+  }
+  if (uaType.startsWith('tag:')) {
+    const tag = uaType.slice(4).toLowerCase();
+    return enabled.filter(profile => profile.tags.includes(tag));
+  }
+  const named = findDeviceProfile(uaType);
+  return named ? [named] : [];
+}
+
+// uaType is "random", "desktop", "mobile", "tag:<tag>" (e.g. tag:ios) or an enabled profile name
+export function isValidUaType(uaType) {
+  return !uaType || (typeof uaType === 'string' && candidatesFor(uaType).length > 0);
+}
+
+export function pickDeviceProfile(uaType) {
+  const candidates = candidatesFor(uaType || 'random');
+  return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+// Request headers a real browser with this profile would send from the region (HTTP fast path)
+export function getProfileHeaders(profile, region) {
+  const { acceptLanguage } = getRegionLocale(region);
+  const headers = { 'User-Agent': profile.userAgent, 'Accept-Language': acceptLanguage };
+  if (profile.clientHints) {
+    const { brands, mobile, platform } = profile.clientHints;
+    headers['Sec-CH-UA'] = brands.map(({ brand, version }) => `"${brand}";v="${version}"`).join(', ');
+    headers['Sec-CH-UA-Mobile'] = mobile ? '?1' : '?0';
+    headers['Sec-CH-UA-Platform'] = `"${platform}"`;
+  }
+  return headers;
+}
+
+// Apply a profile to a page before navigating: UA + client hints, viewport, touch, language, timezone
+export async function applyDeviceProfile(page, profile, region) {
+  const { locale, timezone, acceptLanguage } = getRegionLocale(region);
+  const hints = profile.clientHints;
+
+  await page.setUserAgent(profile.userAgent, hints ? {
+    brands: hints.brands,
+    // The GREASE brand ("Not)A;Brand") keeps its made-up version, real brands report the full one
+    fullVersionList: hints.brands.map(({ brand, version }) => ({
+      brand,
+      version: brand.includes('Brand') ? `${version}.0.0.0` : hints.fullVersion,
+    })),
+    fullVersion: hints.fullVersion,
+    platform: hints.platform,
+    platformVersion: hints.platformVersion,
+    architecture: hints.architecture,
+    model: hints.model,
+    mobile: hints.mobile,
+  } : undefined);
+  await page.setViewport(profile.viewport);
+  await page.setExtraHTTPHeaders({ 'Accept-Language': acceptLanguage });
+  await page.emulateTimezone(timezone);
+
+  // navigator.language(s) and navigator.platform have no DevTools override that survives navigation.
+  // Every lease is a fresh page, so the script never has to be removed again
+  await page.evaluateOnNewDocument((languages, platform) => {
+    Object.defineProperty(Navigator.prototype, 'language', { get: () => languages[0] });
+    Object.defineProperty(Navigator.prototype, 'languages', { get: () => languages });
+    Object.defineProperty(Navigator.prototype, 'platform', { get: () => platform });
+  }, [locale, locale.split('-')[0]], profile.platform);
+}
+
+// What the response reports about the profile that was used
+export function describeDeviceProfile(profile, region) {
+  const { locale, timezone, acceptLanguage } = getRegionLocale(region);
+  return { name: profile.name, type: profile.type, userAgent: profile.userAgent, locale, timezone, acceptLanguage };
+}
@@ -0,0 +1,75 @@
+// services/geo-lookup.js
+// Geo verification against local MaxMind databases (GeoLite2/GeoIP2 City + ASN).
+// We only ask the network for the exit IP, the country/city/ASN lookup happens on this server.
+import 'dotenv/config';
+import net from 'net';
+import maxmind from 'maxmind';
+
+const GEOIP_CITY_DB = process.env.GEOIP_CITY_DB;       // e.g. /var/lib/GeoIP/GeoLite2-City.mmdb
+const GEOIP_ASN_DB = process.env.GEOIP_ASN_DB;         // e.g. /var/lib/GeoIP/GeoLite2-ASN.mmdb
+export const EXIT_IP_ECHO_URL = process.env.EXIT_IP_ECHO_URL || 'https://api.ipify.org?format=json';
+
+// Readers reload themselves when geoipupdate replaces the files
+const OPEN_OPTIONS = { watchForUpdates: true, watchForUpdatesNonPersistent: true };
+
+async function openDatabase(filePath, label) {
+  if (!filePath) return null;
+  try {
+    const reader = await maxmind.open(filePath, OPEN_OPTIONS);
+    console.log(`🗺️ Loaded ${label} database: ${filePath}`);
+    return reader;
+  } catch (err) {
+    console.error(`[ERROR] Failed to open ${label} database ${filePath}:`, err.message);
+    return null;
+  }
+}
+
+const cityReader = await openDatabase(GEOIP_CITY_DB, 'GeoIP city');
+const asnReader = await openDatabase(GEOIP_ASN_DB, 'GeoIP ASN');
+if (!cityReader) {
+  console.warn('⚠️ GEOIP_CITY_DB is not set or unreadable, region verification is disabled');
+}
+
+// The echo service may answer JSON ({ "ip": "..." }) or plain text
+export function parseExitIp(body) {
+  const text = String(body ?? '').trim();
+  let ip = text;
+  try {
+    ip = JSON.parse(text).ip ?? '';
+  } catch {
+    // plain text answer
+  }
+  return net.isIP(String(ip)) ? String(ip) : null;
+}
+
+// Country, city and ASN for an IP; field names follow the old geojs payload so ipData stays compatible
+export function lookupIp(ip) {
+  if (!ip) return { error: 'Exit IP lookup failed' };
+  if (!cityReader) return { ip, error: 'GeoIP database not configured' };
+
+  const city = cityReader.get(ip);
+  const asn = asnReader?.get(ip);
+  if (!city?.country) return { ip, error: 'IP not found in GeoIP database' };
+
+  return {
+    ip,
+    country_code: city.country.iso_code,
+    country: city.country.names?.en,
+    region: city.subdivisions?.[0]?.names?.en,
+    city: city.city?.names?.en,
+    timezone: city.location?.time_zone,
+    latitude: city.location?.latitude,
+    longitude: city.location?.longitude,
+    asn: asn?.autonomous_system_number ?? null,
+    organization_name: asn?.autonomous_system_organization ?? null,
+    source: 'maxmind',
+  };
+}
+
+export function getGeoDbStatus() {
+  return {
+    cityDb: cityReader ? GEOIP_CITY_DB : null,
+    asnDb: asnReader ? GEOIP_ASN_DB : null,
+    exitIpEchoUrl: EXIT_IP_ECHO_URL,
+  };
+}
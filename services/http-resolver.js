@@ -0,0 +1,202 @@
+// services/http-resolver.js
+// Fast path: follow plain 3xx chains with raw HTTP requests and only ask for a browser when the page needs one.
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import { assertUrlAllowed, guardedLookup, BlockedUrlError } from './url-policy.js';
+
+const MAX_BODY_BYTES = 256 * 1024;
+const META_REFRESH_RE = /<meta[^>]+http-equiv\s*=\s*["']?refresh["']?[^>]*>/i;
+const JS_REDIRECT_RE = /\b(?:window\.|document\.|top\.|self\.)?location(?:\.href)?\s*(?:=(?!=)|\.replace\s*\(|\.assign\s*\()/;
+// Status codes bot walls answer with; a real browser usually gets through
+const BROWSER_RETRY_STATUSES = [403, 429, 503];
+
+// Helper: open a tunnel through an HTTP proxy with CONNECT
+function openTunnel(proxy, host, port, timeout) {
+  return new Promise((resolve, reject) => {
+    const headers = { Host: `${host}:${port}` };
+    if (proxy.username) {
+      const auth = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      headers['Proxy-Authorization'] = `Basic ${Buffer.from(auth).toString('base64')}`;
+    }
+    const req = http.request({
+      host: proxy.hostname,
+      port: proxy.port || 80,
+      method: 'CONNECT',
+      path: `${host}:${port}`,
+      headers,
+      timeout,
+    });
+    req.on('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        return reject(new Error(`Proxy CONNECT failed with status ${res.statusCode}`));
+      }
+      resolve(socket);
+    });
+    req.on('timeout', () => req.destroy(new Error('Proxy CONNECT timed out')));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// Helper: one GET request (no redirect following), optionally through a proxy.
+// guard checks the address a direct connection goes to against the URL policy
+async function fetchOnce(targetUrl, { proxy, headers, timeout, signal, guard = false }) {
+  const target = new URL(targetUrl);
+  const isHttps = target.protocol === 'https:';
+  const port = Number(target.port) || (isHttps ? 443 : 80);
+  const options = { method: 'GET', headers: { ...headers, Host: target.host }, timeout, signal };
+
+  if (proxy && isHttps) {
+    const socket = await openTunnel(proxy, target.hostname, port, timeout);
+    Object.assign(options, {
+      host: target.hostname,
+      port,
+      path: target.pathname + target.search,
+      createConnection: () => tls.connect({ socket, servername: target.hostname, rejectUnauthorized: false }),
+    });
+  } else if (proxy) {
+    // Plain HTTP goes to the proxy with an absolute URL
+    Object.assign(options, { host: proxy.hostname, port: proxy.port || 80, path: target.href });
+    if (proxy.username) {
+      const auth = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      options.headers['Proxy-Authorization'] = `Basic ${Buffer.from(auth).toString('base64')}`;
+    }
+  } else {
+    Object.assign(options, {
+      host: target.hostname,
+      port,
+      path: target.pathname + target.search,
+      rejectUnauthorized: false, // ignore SSL certificate issues, same as the browser path
+    });
+    if (guard) options.lookup = guardedLookup;
+  }
+
+  const client = isHttps ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(options, (res) => {
+      const isRedirect = res.statusCode >= 300 && res.statusCode < 400;
+      const contentType = res.headers['content-type'] || '';
+      const isReadable = contentType.includes('text/html') || contentType.includes('json') || contentType.includes('text/plain');
+      // Only HTML, JSON and plain text bodies are read, and only the first chunk of them
+      if (isRedirect || !isReadable) {
+        res.resume();
+        return resolve({ status: res.statusCode, headers: res.headers, body: '' });
+      }
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+        if (body.length >= MAX_BODY_BYTES) res.destroy();
+      });
+      res.on('close', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+      res.on('error', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    });
+    req.on('timeout', () => req.destroy(new Error(`Request to ${target.host} timed out`)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// Does this HTML document need a real browser to move on?
+function needsBrowser(body) {
+  if (META_REFRESH_RE.test(body)) return 'meta-refresh';
+  const scripts = body.match(/<script\b[^>]*>[\s\S]*?<\/script>/gi) || [];
+  if (scripts.some(script => JS_REDIRECT_RE.test(script))) return 'javascript-redirect';
+  // Near-empty document that is all script: most likely a JS-rendered interstitial
+  const text = body
+    .replace(/<script\b[\s\S]*?<\/script>/gi, '')
+    .replace(/<style\b[\s\S]*?<\/style>/gi, '')
+    .replace(/<[^>]+>/g, '')
+    .trim();
+  if (scripts.length > 0 && text.length < 200) return 'javascript-page';
+  return null;
+}
+
+// Helper: tiny per-host cookie jar so trackers that set a cookie and bounce still work
+function createCookieJar() {
+  const jar = {};
+  return {
+    store(host, setCookie = []) {
+      jar[host] = jar[host] || {};
+      setCookie.forEach(cookie => {
+        const [pair] = cookie.split(';');
+        const index = pair.indexOf('=');
+        if (index > 0) jar[host][pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+      });
+    },
+    header(host) {
+      const cookies = jar[host] || {};
+      return Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ');
+    },
+  };
+}
+
+// Main HTTP logic: returns the hops followed, whether the browser has to take over and the final HTML document.
+// A hop the URL policy refuses ends the chain with blocked: { url, reason } and no final URL
+// headers (User-Agent, Accept-Language, client hints) come from the device profile and override the defaults
+// signal aborts the request in flight when the client that asked for the resolution disconnects
+export async function resolveWithHttp(inputUrl, { proxy = null, headers: profileHeaders = {}, maxHops = 15, timeout = 15000, signal } = {}) {
+  const chain = [];
+  const cookies = createCookieJar();
+  let currentUrl = inputUrl;
+
+  for (let hopCount = 0; hopCount < maxHops; hopCount++) {
+    const { host } = new URL(currentUrl);
+    const headers = {
+      Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9',
+      ...profileHeaders,
+    };
+    const cookieHeader = cookies.header(host);
+    if (cookieHeader) headers.Cookie = cookieHeader;
+
+    const started = Date.now();
+    let response;
+    try {
+      // Every hop, not just the first: a redirect is the easy way into the internal network
+      await assertUrlAllowed(currentUrl);
+      response = await fetchOnce(currentUrl, { proxy, headers, timeout, signal, guard: true });
+    } catch (err) {
+      if (err instanceof BlockedUrlError) {
+        return { finalUrl: null, chain, blocked: { url: currentUrl, reason: err.reason }, error: err.message };
+      }
+      return { finalUrl: currentUrl, chain, escalate: 'request-error', error: err.message };
+    }
+    cookies.store(host, response.headers['set-cookie']);
+
+    const location = response.headers.location || null;
+    const hop = {
+      url: currentUrl,
+      status: response.status,
+      redirectType: null,
+      location,
+      responseTime: Date.now() - started,
+    };
+    chain.push(hop);
+
+    if (response.status >= 300 && response.status < 400 && location) {
+      hop.redirectType = '3xx';
+      currentUrl = new URL(location, currentUrl).href;
+      continue;
+    }
+
+    if (BROWSER_RETRY_STATUSES.includes(response.status)) {
+      return { finalUrl: currentUrl, chain, escalate: `status-${response.status}` };
+    }
+
+    const isHtml = (response.headers['content-type'] || '').includes('text/html');
+    const reason = isHtml && response.body ? needsBrowser(response.body) : null;
+    // The landing document itself, for the landing page health checks
+    return { finalUrl: currentUrl, chain, escalate: reason, landingHtml: isHtml ? response.body : null };
+  }
+
+  return { finalUrl: currentUrl, chain, escalate: 'too-many-redirects' };
+}
+
+// Helper: GET a small JSON or text document through the same proxy (e.g. the exit IP echo)
+export async function fetchText(targetUrl, { proxy = null, timeout = 10000 } = {}) {
+  const response = await fetchOnce(targetUrl, { proxy, headers: { Accept: 'application/json, text/plain' }, timeout });
+  return response.body;
+}
@@ -0,0 +1,137 @@
+// services/interception-policy.js
+// Which subresources the browser may load while resolving. A policy starts from a named preset,
+// then adjusts it by resource type and by URL pattern. Main-frame navigations are never blocked.
+import { matchesUrlPattern } from './settle-strategies.js';
+
+export const RESOURCE_TYPES = [
+  'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch',
+  'prefetch', 'eventsource', 'websocket', 'manifest', 'signedexchange', 'ping', 'cspviolationreport',
+  'preflight', 'other',
+];
+
+export const INTERCEPTION_PRESETS = {
+  // Fastest and cheapest: only documents, scripts and XHR/fetch get through
+  'minimal-bandwidth': { blockTypes: ['image', 'stylesheet', 'font', 'media', 'other'] },
+  // Tracking pixels (images, beacons, "other") fire, bulky page assets still don't
+  'pixel-safe': { blockTypes: ['stylesheet', 'font', 'media'] },
+  // What page captures need to look like the visitor's page
+  render: { blockTypes: ['media', 'other'] },
+  // Everything loads, like a real visit
+  'full-page': { blockTypes: [] },
+};
+
+export const DEFAULT_PRESET = 'minimal-bandwidth';
+const CAPTURE_PRESET = 'render';
+
+// Helper: comma separated string (query string) or array (job item, saved campaign)
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Build a policy from query params (intercept, blockTypes, allowTypes, blockUrls, allowUrls)
+// or a saved campaign ({ preset, ... } or just the preset name); throws on invalid input.
+// Returns null when nothing was asked for, so the caller can pick its own default.
+// method is the resolve method the policy goes with: plain HTTP can't apply anything but the default
+export function parseInterceptionPolicy(source = {}, { method = 'auto' } = {}) {
+  const options = typeof source === 'string' ? { preset: source } : source;
+  const preset = options.intercept || options.preset;
+  const adjustments = {
+    blockTypes: toList(options.blockTypes),
+    allowTypes: toList(options.allowTypes),
+    blockUrls: toList(options.blockUrls),
+    allowUrls: toList(options.allowUrls),
+  };
+  if (!preset && Object.values(adjustments).every(list => list.length === 0)) return null;
+
+  const presetName = preset || DEFAULT_PRESET;
+  if (!INTERCEPTION_PRESETS[presetName]) {
+    throw new Error(`Invalid intercept preset, expected one of: ${Object.keys(INTERCEPTION_PRESETS).join(', ')}`);
+  }
+  const unknownType = [...adjustments.blockTypes, ...adjustments.allowTypes].find(type => !RESOURCE_TYPES.includes(type));
+  if (unknownType) {
+    throw new Error(`Invalid resource type: ${unknownType}, expected one of: ${RESOURCE_TYPES.join(', ')}`);
+  }
+  if ([...adjustments.blockUrls, ...adjustments.allowUrls].some(pattern => pattern.length > 200)) {
+    throw new Error('URL patterns are limited to 200 characters');
+  }
+  const policy = { preset: presetName, ...adjustments };
+  if (method === 'http' && !isDefaultPolicy(policy)) {
+    throw new Error('An interception policy needs the browser, use method=auto or method=browser');
+  }
+  return policy;
+}
+
+// The policy a resolution runs with: the requested one, or the preset that fits the request
+export function resolveInterceptionPolicy(policy, { capture = false } = {}) {
+  return policy || { preset: capture ? CAPTURE_PRESET : DEFAULT_PRESET, blockTypes: [], allowTypes: [], blockUrls: [], allowUrls: [] };
+}
+
+// Anything but the plain default preset may need requests only a browser makes
+export function isDefaultPolicy(policy) {
+  if (!policy) return true;
+  const { preset, blockTypes, allowTypes, blockUrls, allowUrls } = policy;
+  return preset === DEFAULT_PRESET && [blockTypes, allowTypes, blockUrls, allowUrls].every(list => list.length === 0);
+}
+
+// Turn on interception for a page and count what it loads.
+// guard(request) → Promise<boolean> vetoes requests before the policy sees them, main-frame navigations included.
+// Returns { stop() } → { preset, requests, blocked, bytes }; bytes are encoded (over the wire) sizes
+export async function applyInterceptionPolicy(page, policy, { guard = null } = {}) {
+  const blockedTypes = new Set(
+    [...INTERCEPTION_PRESETS[policy.preset].blockTypes, ...policy.blockTypes]
+      .filter(type => !policy.allowTypes.includes(type))
+  );
+  // "*" matches anything, everything else literally and regardless of case, anywhere in the URL
+  const allowUrls = policy.allowUrls.map(pattern => pattern.toLowerCase());
+  const blockUrls = policy.blockUrls.map(pattern => pattern.toLowerCase());
+  const report = { preset: policy.preset, requests: 0, blocked: 0, bytes: 0 };
+
+  // Allowed URL patterns win over blocked ones, patterns win over resource types
+  const shouldBlock = (request) => {
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) return false;
+    const url = request.url().toLowerCase();
+    if (allowUrls.some(pattern => matchesUrlPattern(url, pattern))) return false;
+    if (blockUrls.some(pattern => matchesUrlPattern(url, pattern))) return true;
+    return blockedTypes.has(request.resourceType());
+  };
+
+  const onRequest = async (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+    if (guard && await guard(request).catch(() => false)) {
+      report.blocked++;
+      request.abort('blockedbyclient').catch(() => {});
+      return;
+    }
+    if (shouldBlock(request)) {
+      report.blocked++;
+      request.abort().catch(() => {});
+    } else {
+      report.requests++;
+      request.continue().catch(() => {});
+    }
+  };
+
+  // Transfer sizes only exist at the DevTools protocol level
+  const session = await page.createCDPSession();
+  await session.send('Network.enable');
+  const onLoadingFinished = ({ encodedDataLength }) => {
+    report.bytes += encodedDataLength || 0;
+  };
+  session.on('Network.loadingFinished', onLoadingFinished);
+
+  await page.setRequestInterception(true);
+  page.on('request', onRequest);
+
+  return {
+    async stop() {
+      page.off('request', onRequest);
+      // Without a handler, intercepted requests would hang (the exit IP check, the next resolution on this page)
+      await page.setRequestInterception(false).catch(() => {});
+      session.off('Network.loadingFinished', onLoadingFinished);
+      await session.detach().catch(() => {});
+      return report;
+    },
+  };
+}
@@ -0,0 +1,131 @@
+// services/jobs.js
+// In-memory resolution jobs: run a list of items in the background and report progress per item.
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { CancelledError } from './resolution-errors.js';
+
+const JOB_TTL = Number(process.env.JOB_TTL) || 60 * 60 * 1000; // keep finished jobs for 1 hour
+const jobs = new Map();
+
+// Drop finished jobs once nobody can reasonably still be waiting for them
+setInterval(() => {
+  const cutoff = Date.now() - JOB_TTL;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+  }
+}, 5 * 60 * 1000).unref();
+
+// Create and start a job; worker(item, signal) resolves to that item's result or throws.
+// cancelJob() aborts signal: running items stop, queued ones never start.
+// onCancelled(item) hears about the queued ones, the worker never sees them
+export function createJob(items, worker, { concurrency = 3, ownerId = null, onCancelled = () => {} } = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    ownerId,
+    status: 'queued',
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    items: items.map((item, index) => ({ index, ...item, status: 'queued', result: null, error: null })),
+    completed: 0,
+    failed: 0,
+    cancelled: 0,
+    controller: new AbortController(),
+    events: new EventEmitter(),
+  };
+  job.events.setMaxListeners(0); // one listener per open SSE stream
+  jobs.set(job.id, job);
+
+  setImmediate(() => runJob(job, worker, concurrency, onCancelled));
+  return job;
+}
+
+async function runJob(job, worker, concurrency, onCancelled) {
+  job.status = 'running';
+  job.startedAt = Date.now();
+  let next = 0;
+
+  const runNext = async () => {
+    const { signal } = job.controller;
+    while (next < job.items.length) {
+      const item = job.items[next++];
+      item.status = 'running';
+      try {
+        if (signal.aborted) {
+          onCancelled(item);
+          throw new CancelledError('Job cancelled');
+        }
+        item.result = await worker(item, signal);
+        item.status = 'completed';
+        job.completed++;
+      } catch (err) {
+        item.error = err.message;
+        item.status = err instanceof CancelledError ? 'cancelled' : 'failed';
+        job[item.status]++;
+      }
+      job.events.emit('item', serializeItem(item));
+      job.events.emit('progress', getProgress(job));
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, job.items.length) }, runNext));
+
+  if (job.controller.signal.aborted) job.status = 'cancelled';
+  else job.status = job.failed === job.items.length && job.items.length > 0 ? 'failed' : 'completed';
+  job.finishedAt = Date.now();
+  job.events.emit('done', serializeJob(job, { includeResults: false }));
+}
+
+export function getJob(id) {
+  return jobs.get(id);
+}
+
+// Stop a job that is still running; returns false when it already finished
+export function cancelJob(job) {
+  if (job.finishedAt) return false;
+  job.controller.abort();
+  return true;
+}
+
+// Stream a job to an HTTP response as NDJSON: one line per finished item, then a { done: true, ...job } line.
+// Headers are the caller's; the client going away cancels the job
+export function streamJobAsNdjson(job, res) {
+  const onItem = data => res.write(`${JSON.stringify(data)}\n`);
+  const onDone = data => res.end(`${JSON.stringify({ done: true, ...data })}\n`);
+  job.events.on('item', onItem);
+  job.events.once('done', onDone);
+
+  res.on('close', () => {
+    job.events.off('item', onItem);
+    job.events.off('done', onDone);
+    if (cancelJob(job)) console.log(`🛑 Batch ${job.id} cancelled, the client disconnected`);
+  });
+}
+
+export function getProgress(job) {
+  const total = job.items.length;
+  return {
+    total,
+    completed: job.completed,
+    failed: job.failed,
+    cancelled: job.cancelled,
+    remaining: total - job.completed - job.failed - job.cancelled,
+  };
+}
+
+export function serializeItem(item) {
+  const { index, status, result, error, ...input } = item;
+  return { index, status, input, result, error };
+}
+
+export function serializeJob(job, { includeResults = true } = {}) {
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    progress: getProgress(job),
+    ...(includeResults ? { items: job.items.map(serializeItem) } : {}),
+  };
+}
@@ -0,0 +1,51 @@
+// services/json-store.js
+// Small JSON files for admin-managed settings, kept in DATA_DIR next to the app.
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Validation and lookup errors from the admin-managed registries; status is the HTTP status to answer with
+export class RegistryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RegistryError';
+    this.status = status;
+  }
+}
+
+// Read DATA_DIR/<name>; returns fallback when the file doesn't exist yet
+export async function readJsonFile(name, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(DATA_DIR, name), 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+}
+
+// Write through a temp file so a crash mid-write never leaves half a settings file behind
+export async function writeJsonFile(name, data) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const file = path.join(DATA_DIR, name);
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+  await fs.rename(tmpFile, file);
+}
+
+// Writes to the same file are chained, so two updates close together can't interleave or land out of order
+const pendingWrites = new Map(); // file name → the last write queued for it
+
+// Queue a write of a snapshot of data; resolves (or rejects) with this write
+export function saveJsonFile(name, data) {
+  const snapshot = structuredClone(data);
+  const write = (pendingWrites.get(name) || Promise.resolve())
+    .catch(() => {})
+    .then(() => writeJsonFile(name, snapshot));
+  pendingWrites.set(name, write);
+  return write;
+}
@@ -0,0 +1,123 @@
+// services/landing-health.js
+// Is the page a resolution ended on actually usable? Checks the final document's HTTP status,
+// then admin-managed content rules: visible-text keywords, title patterns and raw-HTML signatures.
+import { readJsonFile, saveJsonFile, RegistryError } from './json-store.js';
+
+const RULES_FILE = 'landing-rules.json';
+
+export const LANDING_STATUSES = ['healthy', 'broken', 'parked', 'expired'];
+const RULE_STATUSES = ['parked', 'expired', 'broken']; // checked in this order, first match wins
+const RULE_FIELDS = ['keywords', 'titlePatterns', 'signatures'];
+
+// Seed rules; keywords and signatures match case-insensitively anywhere, title patterns are regexes
+const DEFAULT_LANDING_RULES = {
+  parked: {
+    keywords: ['this domain is for sale', 'buy this domain', 'this domain may be for sale', 'domain is parked', 'parked free', 'inquire about this domain'],
+    titlePatterns: ['^parked', 'domain (is )?for sale'],
+    signatures: ['sedoparking.com', 'parkingcrew.net', 'bodis.com', 'above.com/marketplace', 'afternic.com', 'dan.com/buy-domain', 'hugedomains.com', 'domainmarket.com', 'parklogic', 'googlesyndication.com/apps/domainpark'],
+  },
+  expired: {
+    keywords: ['offer has expired', 'offer is no longer available', 'this offer has ended', 'promotion has ended', 'campaign has ended', 'this deal has expired', 'no longer accepting'],
+    titlePatterns: ['offer (has )?expired', 'promotion (has )?ended'],
+    signatures: [],
+  },
+  // Soft 404s: error pages answered with 200
+  broken: {
+    keywords: ['page not found', 'page you requested could not be found', "page you're looking for doesn't exist", 'this page does not exist'],
+    titlePatterns: ['\\b404\\b', 'not found', '\\berror\\b'],
+    signatures: [],
+  },
+};
+
+const MAX_HTML_CHARS = 200 * 1024;
+
+let rules = await loadRules();
+
+async function loadRules() {
+  try {
+    return normalizeRules(await readJsonFile(RULES_FILE, DEFAULT_LANDING_RULES));
+  } catch (err) {
+    console.error('[ERROR] Failed to load landing page rules, using defaults:', err.message);
+    return normalizeRules(DEFAULT_LANDING_RULES);
+  }
+}
+
+// Validate a full rule set from the admin API; every status gets every list, patterns must compile
+function normalizeRules(input = {}) {
+  if (typeof input !== 'object' || Array.isArray(input)) throw new RegistryError('Landing rules must be an object');
+  const normalized = {};
+  RULE_STATUSES.forEach(status => {
+    const section = input[status] || {};
+    normalized[status] = {};
+    RULE_FIELDS.forEach(field => {
+      const list = section[field] || [];
+      if (!Array.isArray(list) || list.some(item => typeof item !== 'string' || !item.trim() || item.length > 200)) {
+        throw new RegistryError(`Invalid ${status}.${field}, expected a list of non-empty strings`);
+      }
+      normalized[status][field] = [...new Set(list.map(item => item.trim()))];
+    });
+    normalized[status].titlePatterns.forEach(pattern => {
+      try {
+        new RegExp(pattern, 'i');
+      } catch {
+        throw new RegistryError(`Invalid title pattern for ${status}: ${pattern}`);
+      }
+    });
+  });
+  return normalized;
+}
+
+export function getLandingRules() {
+  return structuredClone(rules);
+}
+
+export async function updateLandingRules(input) {
+  rules = normalizeRules(input);
+  await saveJsonFile(RULES_FILE, rules);
+  return getLandingRules();
+}
+
+// Helper: title and visible text of an HTML document
+function readDocument(html) {
+  const title = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '').replace(/\s+/g, ' ').trim();
+  const text = html
+    .replace(/<script\b[\s\S]*?<\/script>/gi, ' ')
+    .replace(/<style\b[\s\S]*?<\/style>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+  return { title, text };
+}
+
+// Helper: first rule of a status that matches, as a short description for the response
+function matchRules(statusRules, { html, title, text }) {
+  const lowerHtml = html.toLowerCase();
+  const keyword = statusRules.keywords.find(k => text.includes(k.toLowerCase()));
+  if (keyword) return `keyword "${keyword}"`;
+  const titlePattern = title && statusRules.titlePatterns.find(p => new RegExp(p, 'i').test(title));
+  if (titlePattern) return `title matches /${titlePattern}/`;
+  const signature = statusRules.signatures.find(sig => lowerHtml.includes(sig.toLowerCase()));
+  if (signature) return `signature "${signature}"`;
+  return null;
+}
+
+// Landing status of a resolution; null when there is no final URL to judge.
+// html is the final document as the resolver saw it (rendered DOM on the browser path), null if unreadable
+export function checkLandingHealth({ finalUrl, httpStatus = null, html = null }) {
+  if (!finalUrl) return { landingStatus: null, landingCheck: null };
+
+  const doc = html ? readDocument(html.slice(0, MAX_HTML_CHARS)) : null;
+  const check = { httpStatus, title: doc?.title || null, reason: null };
+
+  if (httpStatus >= 400) {
+    return { landingStatus: 'broken', landingCheck: { ...check, reason: `HTTP ${httpStatus}` } };
+  }
+  if (doc) {
+    for (const status of RULE_STATUSES) {
+      const reason = matchRules(rules[status], { html: html.slice(0, MAX_HTML_CHARS), ...doc });
+      if (reason) return { landingStatus: status, landingCheck: { ...check, reason } };
+    }
+  }
+  return { landingStatus: 'healthy', landingCheck: check };
+}
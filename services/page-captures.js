@@ -0,0 +1,70 @@
+// services/page-captures.js
+// Screenshot + serialized DOM of a final landing page, kept on local disk as evidence of what a region saw.
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CAPTURE_DIR = process.env.CAPTURE_DIR || path.join(__dirname, '..', 'captures');
+const CAPTURE_RETENTION_HOURS = Number(process.env.CAPTURE_RETENTION_HOURS) || 72;
+const CAPTURE_MAX_COUNT = Number(process.env.CAPTURE_MAX_COUNT) || 500; // captures, each is a .png + .html pair
+
+// Capture ids look like 20250101T120000-us-ab12cd34; anything else is not ours to serve
+const CAPTURE_FILE_PATTERN = /^[0-9T]+-[a-z]{2,3}-[0-9a-f]{8}\.(png|html)$/;
+
+// Helper: delete captures past the retention window, then the oldest ones over the count limit
+export async function pruneCaptures() {
+  let files;
+  try {
+    files = (await fs.readdir(CAPTURE_DIR)).filter(file => CAPTURE_FILE_PATTERN.test(file));
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+
+  const ids = [...new Set(files.map(file => file.replace(/\.(png|html)$/, '')))].sort(); // ids sort by time
+  const cutoff = Date.now() - CAPTURE_RETENTION_HOURS * 60 * 60 * 1000;
+  const expired = [];
+  for (const id of ids) {
+    const stat = await fs.stat(path.join(CAPTURE_DIR, `${id}.html`)).catch(() => null);
+    if (!stat || stat.mtimeMs < cutoff) expired.push(id);
+  }
+  const kept = ids.filter(id => !expired.includes(id));
+  expired.push(...kept.slice(0, Math.max(0, kept.length - CAPTURE_MAX_COUNT)));
+
+  await Promise.all(expired.flatMap(id => ['png', 'html'].map(ext =>
+    fs.rm(path.join(CAPTURE_DIR, `${id}.${ext}`), { force: true })
+  )));
+  if (expired.length) console.log(`🧹 Removed ${expired.length} old page captures`);
+  return expired.length;
+}
+
+// Save a screenshot and the current DOM of the page; returns links served by GET /captures/:file
+export async function savePageCapture(page, { region = 'US' } = {}) {
+  await fs.mkdir(CAPTURE_DIR, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, '');
+  const regionTag = region.toLowerCase().replace(/[^a-z]/g, '').slice(0, 3).padEnd(2, 'x');
+  const id = `${stamp}-${regionTag}-${crypto.randomBytes(4).toString('hex')}`;
+
+  const html = await page.content();
+  await fs.writeFile(path.join(CAPTURE_DIR, `${id}.html`), html);
+  await page.screenshot({ path: path.join(CAPTURE_DIR, `${id}.png`), fullPage: true, captureBeyondViewport: false });
+
+  pruneCaptures().catch(err => console.error('[ERROR] Failed to prune page captures:', err.message));
+
+  return {
+    id,
+    capturedAt: new Date().toISOString(),
+    screenshotUrl: `/captures/${id}.png`,
+    htmlUrl: `/captures/${id}.html`,
+  };
+}
+
+// Absolute path for a capture file name, or null when the name isn't a capture
+export function getCapturePath(file) {
+  return CAPTURE_FILE_PATTERN.test(file) ? path.join(CAPTURE_DIR, file) : null;
+}
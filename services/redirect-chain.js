@@ -0,0 +1,71 @@
+// services/redirect-chain.js
+// Records every main-frame navigation hop a page goes through while resolving a URL.
+
+const META_REFRESH_RE = /<meta[^>]+http-equiv\s*=\s*["']?refresh["']?[^>]*>/i;
+
+// How a hop handed over to the next one
+function getRedirectType(hop) {
+  if (hop.status >= 300 && hop.status < 400 && hop.location) return '3xx';
+  if (hop.hasMetaRefresh) return 'meta-refresh';
+  return 'javascript';
+}
+
+// Helper: attach listeners to a page and collect the redirect chain
+export function trackRedirectChain(page) {
+  const startedAt = new WeakMap();
+  const hops = [];
+
+  const isMainNavigation = (request) =>
+    request.isNavigationRequest() && request.frame() === page.mainFrame();
+
+  const onRequest = (request) => {
+    if (isMainNavigation(request)) startedAt.set(request, Date.now());
+  };
+
+  const onResponse = (response) => {
+    const request = response.request();
+    if (!isMainNavigation(request)) return;
+
+    const started = startedAt.get(request);
+    const headers = response.headers();
+    const hop = {
+      url: request.url(),
+      status: response.status(),
+      location: headers.location || null,
+      responseTime: started ? Date.now() - started : null,
+      contentType: headers['content-type'] || null,
+      hasMetaRefresh: false,
+      pending: null,
+    };
+
+    // Only HTML documents can carry a meta refresh; 3xx bodies are never read
+    if ((hop.status < 300 || hop.status >= 400) && hop.contentType?.includes('text/html')) {
+      hop.pending = response.text()
+        .then((body) => { hop.hasMetaRefresh = META_REFRESH_RE.test(body); })
+        .catch(() => { /* body is gone once the page navigates away */ });
+    }
+    hops.push(hop);
+  };
+
+  page.on('request', onRequest);
+  page.on('response', onResponse);
+
+  return {
+    async getChain() {
+      page.off('request', onRequest);
+      page.off('response', onResponse);
+      await Promise.all(hops.map(h => h.pending).filter(Boolean));
+
+      return hops.map((hop, index) => ({
+        url: hop.url,
+        status: hop.status,
+        // The last hop is where we landed, unless its redirect target never loaded
+        redirectType: index < hops.length - 1 || hop.status >= 300 && hop.status < 400
+          ? getRedirectType(hop)
+          : null,
+        location: hop.location,
+        responseTime: hop.responseTime,
+      }));
+    },
+  };
+}
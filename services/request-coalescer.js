@@ -0,0 +1,68 @@
+// services/request-coalescer.js
+// Identical resolutions that overlap in time share one run: the first caller starts it,
+// everyone who asks for the same key before it settles gets the same promise.
+// The shared run is only cancelled once every caller waiting on it has gone away.
+import { CancelledError } from './resolution-errors.js';
+
+export function createCoalescer() {
+  const inFlight = new Map(); // key -> { promise, controller, waiters }
+  const stats = { started: 0, coalesced: 0, cancelled: 0 };
+
+  // Helper: wait for the shared run on behalf of one caller, leaving it when that caller's signal aborts
+  function join(key, entry, signal) {
+    entry.waiters++;
+    if (!signal) return entry.promise;
+    if (signal.aborted) {
+      leave(key, entry);
+      return Promise.reject(new CancelledError());
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        leave(key, entry);
+        reject(new CancelledError());
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      entry.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  function leave(key, entry) {
+    entry.waiters--;
+    if (entry.waiters > 0) return;
+    // Nobody wants the result any more: stop the work, and let the next identical request start fresh
+    if (inFlight.get(key) === entry) inFlight.delete(key);
+    stats.cancelled++;
+    entry.controller.abort();
+  }
+
+  return {
+    // task(signal) runs once per key at a time. Resolves to { value, coalesced };
+    // coalesced is true when another caller's run was reused
+    async run(key, task, signal) {
+      const existing = inFlight.get(key);
+      if (existing) {
+        stats.coalesced++;
+        return { value: await join(key, existing, signal), coalesced: true };
+      }
+
+      const entry = { promise: null, controller: new AbortController(), waiters: 0 };
+      entry.promise = Promise.resolve()
+        .then(() => task(entry.controller.signal))
+        .finally(() => {
+          if (inFlight.get(key) === entry) inFlight.delete(key);
+        });
+      entry.promise.catch(() => {}); // every waiter may have left; the rejection is theirs to handle
+      inFlight.set(key, entry);
+      stats.started++;
+      return { value: await join(key, entry, signal), coalesced: false };
+    },
+
+    getStats() {
+      return {
+        inFlight: inFlight.size,
+        waiting: [...inFlight.values()].reduce((sum, entry) => sum + entry.waiters - 1, 0),
+        ...stats,
+      };
+    },
+  };
+}
@@ -0,0 +1,134 @@
+// services/resolution-errors.js
+// Turns resolver failures into a small set of error types, each with its own retry policy.
+
+export const ERROR_TYPES = [
+  'proxy_auth',         // proxy/zone rejected our credentials
+  'dns_error',          // target host does not resolve
+  'navigation_timeout', // page or request took too long
+  'chrome_error_page',  // browser ended on chrome-error:// or never left about:blank
+  'tls_error',          // certificate / handshake problem
+  'connection_error',   // refused, reset, dropped
+  'target_4xx',         // landing document answered 4xx
+  'target_5xx',         // landing document answered 5xx
+  'geo_mismatch',       // exit IP is not in the requested region
+  'blocked_url',        // a hop broke the URL policy (private address, denylist, allowlist, scheme)
+  'unknown',
+];
+
+// The client went away (closed tab, aborted fetch) before its resolution finished.
+// Not a resolver failure, so it has no error type and no retry policy
+export class CancelledError extends Error {
+  constructor(message = 'Resolution cancelled: client disconnected') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) throw new CancelledError();
+}
+
+// setTimeout that gives up early when the signal aborts
+export function cancellableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new CancelledError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Types that mean we have no usable final URL; the others flag a result that still resolved.
+// unknown isn't one of them: a result we can't explain keeps its final URL and stays retryable
+const FATAL_TYPES = ['proxy_auth', 'dns_error', 'chrome_error_page', 'tls_error', 'connection_error', 'blocked_url'];
+
+// maxAttempts includes the first try; backoff doubles after every failed attempt
+const defaultRetryPolicies = {
+  proxy_auth: { maxAttempts: 1, backoffMs: 0 }, // bad config, retrying won't help
+  dns_error: { maxAttempts: 2, backoffMs: 1000 },
+  navigation_timeout: { maxAttempts: 2, backoffMs: 2000 },
+  chrome_error_page: { maxAttempts: 2, backoffMs: 1000 },
+  tls_error: { maxAttempts: 1, backoffMs: 0 },
+  connection_error: { maxAttempts: 3, backoffMs: 1000 },
+  target_4xx: { maxAttempts: 1, backoffMs: 0 },
+  target_5xx: { maxAttempts: 3, backoffMs: 2000 },
+  geo_mismatch: { maxAttempts: 1, backoffMs: 0 },
+  blocked_url: { maxAttempts: 1, backoffMs: 0 }, // the same chain hits the same policy
+  unknown: { maxAttempts: 2, backoffMs: 1000 },
+};
+const MAX_BACKOFF_MS = 30000;
+
+// RETRY_POLICIES='{"target_5xx":{"maxAttempts":4,"backoffMs":5000}}' overrides single types
+function loadRetryPolicies() {
+  const policies = structuredClone(defaultRetryPolicies);
+  if (!process.env.RETRY_POLICIES) return policies;
+  try {
+    const overrides = JSON.parse(process.env.RETRY_POLICIES);
+    Object.entries(overrides).forEach(([type, policy]) => {
+      if (policies[type]) Object.assign(policies[type], policy);
+      else console.warn(`⚠️ Ignoring retry policy for unknown error type: ${type}`);
+    });
+  } catch (err) {
+    console.error('[RETRY] Invalid RETRY_POLICIES, using defaults:', err.message);
+  }
+  return policies;
+}
+
+export const retryPolicies = loadRetryPolicies();
+
+// Map an error message from puppeteer, Node or our own resolvers to an error type
+export function classifyErrorMessage(message = '') {
+  if (/\b407\b|proxy auth|ERR_PROXY_AUTH|ERR_TUNNEL_CONNECTION_FAILED|Unexpected server response: 40[13]/i.test(message)) return 'proxy_auth';
+  if (/ENOTFOUND|EAI_AGAIN|ERR_NAME_NOT_RESOLVED|ERR_NAME_RESOLUTION_FAILED/i.test(message)) return 'dns_error';
+  if (/ERR_CERT_|ERR_SSL_|SSL routines|certificate|CERT_|EPROTO|handshake/i.test(message)) return 'tls_error';
+  if (/timeout|timed out|ETIMEDOUT|ERR_TIMED_OUT/i.test(message)) return 'navigation_timeout';
+  if (/ECONNREFUSED|ECONNRESET|EPIPE|socket hang up|ERR_CONNECTION_|ERR_EMPTY_RESPONSE|ERR_ABORTED|disconnected/i.test(message)) return 'connection_error';
+  return 'unknown';
+}
+
+// Classify a resolveUrl() result; null means a clean resolution.
+// strictRegion also treats an exit region we couldn't verify as a mismatch
+export function classifyResult(result, region, { strictRegion = false } = {}) {
+  const { finalUrl, error, navigationError, chain = [], ipData } = result;
+
+  if (result.blocked) return 'blocked_url';
+  if (error) return classifyErrorMessage(error);
+  if (!finalUrl) return 'unknown';
+  if (finalUrl === 'about:blank' || finalUrl.startsWith('chrome-error://') || finalUrl.includes('chromewebdata')) {
+    // The page never got anywhere: the navigation error says why
+    const cause = navigationError ? classifyErrorMessage(navigationError) : 'unknown';
+    return ['dns_error', 'tls_error', 'proxy_auth', 'connection_error'].includes(cause) ? cause : 'chrome_error_page';
+  }
+
+  const lastStatus = chain[chain.length - 1]?.status;
+  if (lastStatus >= 500) return 'target_5xx';
+  if (lastStatus >= 400) return 'target_4xx';
+  // A navigation error after the page reached a real URL (a late ERR_ABORTED after a JS or meta redirect)
+  // doesn't take that URL away
+
+  const actualRegion = ipData?.country_code?.toUpperCase();
+  if (actualRegion && actualRegion !== region.toUpperCase()) return 'geo_mismatch';
+  if (strictRegion && !actualRegion) return 'geo_mismatch';
+  return null;
+}
+
+export function isFatal(errorType) {
+  return FATAL_TYPES.includes(errorType);
+}
+
+export function getBackoffMs(errorType, attempt) {
+  const { backoffMs } = retryPolicies[errorType] || retryPolicies.unknown;
+  return Math.min(backoffMs * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+}
+
+export function shouldRetry(errorType, attempt) {
+  if (!errorType) return false;
+  const { maxAttempts } = retryPolicies[errorType] || retryPolicies.unknown;
+  return attempt < maxAttempts;
+}
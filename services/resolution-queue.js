@@ -0,0 +1,125 @@
+// services/resolution-queue.js
+// One queue in front of every resolution: global and per-region concurrency limits,
+// round-robin between users so one big batch can't starve everyone else.
+import { CancelledError } from './resolution-errors.js';
+
+export class QueueFullError extends Error {
+  constructor(message, { queuePosition, etaSeconds }) {
+    super(message);
+    this.name = 'QueueFullError';
+    this.queuePosition = queuePosition;
+    this.etaSeconds = etaSeconds;
+  }
+}
+
+export function createResolutionQueue({
+  globalConcurrency = 6,
+  regionConcurrency = 2,
+  maxQueued = 100,
+} = {}) {
+  const running = { total: 0, perRegion: {} };
+  const userQueues = new Map(); // userKey -> [entry], Map keeps insertion order for round-robin
+  let queuedCount = 0;
+  let avgDurationMs = 15000; // first guess until real resolutions come in
+  const stats = { started: 0, completed: 0, rejected: 0, cancelled: 0 };
+
+  const regionRunning = (region) => running.perRegion[region] || 0;
+  const canStart = (region) =>
+    running.total < globalConcurrency && regionRunning(region) < regionConcurrency;
+
+  // ETA for the nth task in line, based on how long resolutions have been taking
+  const estimateSeconds = (position) =>
+    Math.ceil((Math.ceil(position / globalConcurrency) * avgDurationMs) / 1000);
+
+  function start(entry) {
+    queuedCount--;
+    running.total++;
+    running.perRegion[entry.region] = regionRunning(entry.region) + 1;
+    stats.started++;
+
+    const startedAt = Date.now();
+    entry.signal?.removeEventListener('abort', entry.onAbort);
+    entry.onStart?.(startedAt - entry.queuedAt);
+    Promise.resolve()
+      .then(entry.task)
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        running.total--;
+        running.perRegion[entry.region]--;
+        stats.completed++;
+        // Moving average keeps the ETA close to current proxy performance
+        avgDurationMs = avgDurationMs * 0.8 + (Date.now() - startedAt) * 0.2;
+        drain();
+      });
+  }
+
+  // Hand free slots out user by user; a user who just got a slot goes to the back of the line
+  function drain() {
+    let startedOne = true;
+    while (startedOne && running.total < globalConcurrency) {
+      startedOne = false;
+      for (const [userKey, entries] of userQueues) {
+        const index = entries.findIndex(entry => canStart(entry.region));
+        if (index === -1) continue;
+
+        const [entry] = entries.splice(index, 1);
+        userQueues.delete(userKey);
+        if (entries.length > 0) userQueues.set(userKey, entries);
+        start(entry);
+        startedOne = true;
+        break;
+      }
+    }
+  }
+
+  return {
+    // Run task() once the region has capacity; rejects with QueueFullError when the backlog is too large.
+    // Aborting signal while the task is still waiting drops it from the queue with a CancelledError
+    run({ region = 'US', userId = null, onStart, signal } = {}, task) {
+      const regionKey = region.toUpperCase();
+      if (signal?.aborted) return Promise.reject(new CancelledError());
+      if (queuedCount >= maxQueued) {
+        stats.rejected++;
+        const queuePosition = queuedCount + 1;
+        return Promise.reject(new QueueFullError(
+          `Resolution queue is full (${queuedCount} waiting), try again later`,
+          { queuePosition, etaSeconds: estimateSeconds(queuePosition + running.total) }
+        ));
+      }
+
+      return new Promise((resolve, reject) => {
+        const userKey = userId ?? 'anonymous';
+        const entries = userQueues.get(userKey) || [];
+        const entry = { region: regionKey, task, resolve, reject, onStart, signal, queuedAt: Date.now() };
+        entry.onAbort = () => {
+          const userEntries = userQueues.get(userKey) || [];
+          const index = userEntries.indexOf(entry);
+          if (index === -1) return; // already started
+          userEntries.splice(index, 1);
+          if (userEntries.length === 0) userQueues.delete(userKey);
+          queuedCount--;
+          stats.cancelled++;
+          reject(new CancelledError());
+        };
+        signal?.addEventListener('abort', entry.onAbort, { once: true });
+        entries.push(entry);
+        userQueues.set(userKey, entries);
+        queuedCount++;
+        drain();
+      });
+    },
+
+    getStats() {
+      return {
+        config: { globalConcurrency, regionConcurrency, maxQueued },
+        running: running.total,
+        runningPerRegion: { ...running.perRegion },
+        queued: queuedCount,
+        queuedPerUser: Object.fromEntries([...userQueues].map(([user, entries]) => [user, entries.length])),
+        averageDurationMs: Math.round(avgDurationMs),
+        estimatedWaitSeconds: queuedCount ? estimateSeconds(queuedCount + running.total) : 0,
+        ...stats,
+      };
+    },
+  };
+}
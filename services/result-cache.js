@@ -0,0 +1,123 @@
+// services/result-cache.js
+// Resolution result cache: Redis when REDIS_URL is set, an in-process map otherwise.
+// Keys are built from the normalized URL, region and device profile plus the options that change the outcome.
+import 'dotenv/config';
+import crypto from 'crypto';
+import { createClient } from 'redis';
+
+const REDIS_URL = process.env.REDIS_URL;
+const KEY_PREFIX = process.env.RESULT_CACHE_PREFIX || 'tte:result:';
+export const DEFAULT_CACHE_TTL = Number(process.env.RESULT_CACHE_TTL) || 0; // seconds, 0 = only cache when a campaign asks
+export const MAX_CACHE_TTL = 7 * 24 * 60 * 60;
+const MEMORY_MAX_ENTRIES = Number(process.env.RESULT_CACHE_MAX_ENTRIES) || 1000;
+
+const memoryCache = new Map(); // key → { value, expiresAt }
+let redisClient = null;
+
+// Don't block startup on Redis: until it's ready (or while it reconnects) the memory cache answers
+if (REDIS_URL) {
+  let lastError = null;
+  redisClient = createClient({
+    url: REDIS_URL,
+    socket: { connectTimeout: 5000, reconnectStrategy: retries => Math.min(retries * 500, 10000) },
+  });
+  redisClient.on('ready', () => {
+    lastError = null;
+    console.log('🗄️ Result cache connected to Redis');
+  });
+  // Reconnect attempts emit the same error over and over, log it once per outage
+  redisClient.on('error', err => {
+    if (err.message === lastError) return;
+    lastError = err.message;
+    console.error('[ERROR] Result cache Redis error, using in-memory cache:', err.message);
+  });
+  redisClient.connect().catch(() => {});
+} else {
+  console.log('🗄️ REDIS_URL not set, resolution results are cached in memory');
+}
+
+const useRedis = () => Boolean(redisClient?.isReady);
+
+// Same destination → same key: lowercase scheme/host, no default port, no fragment, sorted query
+export function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  parsed.searchParams.sort();
+  return parsed.href; // URL already lowercases the host and drops default ports
+}
+
+export function buildCacheKey({ url, region, uaType, method, settle, strictRegion, intercept }) {
+  const parts = [normalizeUrl(url), String(region).toUpperCase(), uaType || 'random', method, settle || null, Boolean(strictRegion), intercept || null];
+  return KEY_PREFIX + crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex');
+}
+
+// cacheTtl (seconds) and fresh from a query string, job item or saved campaign; throws on invalid input
+export function parseCacheOptions(source = {}) {
+  const fresh = source.fresh === true || source.fresh === 'true';
+  if (source.cacheTtl === undefined || source.cacheTtl === null || source.cacheTtl === '') {
+    return { cacheTtl: DEFAULT_CACHE_TTL, fresh };
+  }
+  const cacheTtl = Number(source.cacheTtl);
+  if (!Number.isInteger(cacheTtl) || cacheTtl < 0 || cacheTtl > MAX_CACHE_TTL) {
+    throw new Error(`Invalid cacheTtl, expected whole seconds from 0 to ${MAX_CACHE_TTL}`);
+  }
+  return { cacheTtl, fresh };
+}
+
+// Values are /resolve responses; cache.cachedAt says when they were resolved.
+// maxAgeSeconds is the asking request's cacheTtl: an entry cached by a campaign with a longer TTL
+// is still stored, but older than this request accepts, so it counts as a miss
+export async function getCachedResult(key, { maxAgeSeconds = Infinity } = {}) {
+  const value = await readCachedResult(key);
+  if (!value) return null;
+  const cachedAt = Date.parse(value.cache?.cachedAt);
+  if (!(Date.now() - cachedAt <= maxAgeSeconds * 1000)) return null;
+  return value;
+}
+
+async function readCachedResult(key) {
+  if (useRedis()) {
+    try {
+      const raw = await redisClient.get(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      console.error('[ERROR] Result cache read failed:', err.message);
+      return null;
+    }
+  }
+  const entry = memoryCache.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    memoryCache.delete(key);
+    return null;
+  }
+  return structuredClone(entry.value);
+}
+
+export async function setCachedResult(key, value, ttlSeconds) {
+  if (!ttlSeconds) return;
+  if (useRedis()) {
+    try {
+      await redisClient.set(key, JSON.stringify(value), { EX: ttlSeconds });
+    } catch (err) {
+      console.error('[ERROR] Result cache write failed:', err.message);
+    }
+    return;
+  }
+  // Map keeps insertion order, so the first keys are the oldest ones
+  memoryCache.delete(key);
+  memoryCache.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+  for (const [oldKey, entry] of memoryCache) {
+    if (memoryCache.size <= MEMORY_MAX_ENTRIES && entry.expiresAt > Date.now()) break;
+    memoryCache.delete(oldKey);
+  }
+}
+
+export function getCacheStatus() {
+  return {
+    backend: useRedis() ? 'redis' : 'memory',
+    redisConfigured: Boolean(REDIS_URL),
+    defaultTtl: DEFAULT_CACHE_TTL,
+    memoryEntries: memoryCache.size,
+  };
+}
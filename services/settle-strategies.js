@@ -0,0 +1,167 @@
+// services/settle-strategies.js
+// When is a page "done" redirecting? Each strategy is a condition polled after navigation,
+// always bounded by maxHops (documents loaded) and maxDuration (ms). Client values are clamped to SETTLE_LIMITS
+// so nobody can hold a pooled page for as long as they like.
+
+export const SETTLE_STRATEGIES = ['dom', 'network-idle', 'url-stable', 'selector', 'url-match'];
+
+const DEFAULT_SETTLE = {
+  strategy: 'dom',
+  idleMs: 500,      // network-idle: no requests in flight for this long
+  stableMs: 2000,   // url-stable: URL unchanged for this long
+  selector: null,   // selector: wait until it exists
+  urlPattern: null, // url-match: wait until page.url() contains this, * matches anything
+  maxHops: 10,
+  maxDuration: 30000,
+};
+export const SETTLE_LIMITS = {
+  idleMs: 10000,
+  stableMs: 15000,
+  maxHops: 30,
+  maxDuration: Number(process.env.SETTLE_MAX_DURATION) || 60000,
+};
+const MAX_URL_PATTERN_LENGTH = 300;
+const POLL_INTERVAL = 100;
+
+function toPositiveNumber(value, name) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (isNaN(number) || number < 0) throw new Error(`Invalid ${name}: ${value}`);
+  return number;
+}
+
+// Build settle options from query params or a saved campaign; throws on invalid input
+export function parseSettleOptions(source = {}) {
+  const strategy = source.settle || source.strategy || DEFAULT_SETTLE.strategy;
+  if (!SETTLE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid settle strategy, expected one of: ${SETTLE_STRATEGIES.join(', ')}`);
+  }
+
+  const options = {
+    ...DEFAULT_SETTLE,
+    strategy,
+    selector: source.selector || null,
+    urlPattern: source.urlPattern || null,
+  };
+  ['idleMs', 'stableMs', 'maxHops', 'maxDuration'].forEach(key => {
+    const value = toPositiveNumber(source[key], key);
+    if (value !== undefined) options[key] = Math.min(value, SETTLE_LIMITS[key]);
+  });
+  if (options.maxHops < 1) throw new Error('Invalid maxHops: expected at least 1');
+
+  if (strategy === 'selector' && !options.selector) {
+    throw new Error('The selector strategy needs a selector');
+  }
+  if (strategy === 'url-match') {
+    if (!options.urlPattern) throw new Error('The url-match strategy needs a urlPattern');
+    options.urlPattern = String(options.urlPattern);
+    if (options.urlPattern.length > MAX_URL_PATTERN_LENGTH) {
+      throw new Error(`Invalid urlPattern: longer than ${MAX_URL_PATTERN_LENGTH} characters`);
+    }
+  }
+  return options;
+}
+
+// Does url contain pattern, * standing for any run of characters? Plain substring search on purpose:
+// the URL comes from whatever page we were sent to, a user-supplied regex on it could backtrack forever
+export function matchesUrlPattern(url, pattern) {
+  let from = 0;
+  for (const part of pattern.split('*')) {
+    const index = url.indexOf(part, from);
+    if (index === -1) return false;
+    from = index + part.length;
+  }
+  return true;
+}
+
+export function isDefaultSettle(options) {
+  return !options || options.strategy === DEFAULT_SETTLE.strategy;
+}
+
+// Attach before page.goto() so hops and network activity are counted from the start
+export function watchSettle(page, options = DEFAULT_SETTLE) {
+  const startedAt = Date.now();
+  let hops = 0;
+  let inflight = 0;
+  let lastNetworkActivity = startedAt;
+
+  const onNavigated = (frame) => {
+    if (frame === page.mainFrame()) hops++;
+  };
+  const onRequestStart = () => {
+    inflight++;
+    lastNetworkActivity = Date.now();
+  };
+  const onRequestEnd = () => {
+    inflight = Math.max(0, inflight - 1);
+    lastNetworkActivity = Date.now();
+  };
+
+  page.on('framenavigated', onNavigated);
+  page.on('request', onRequestStart);
+  page.on('requestfinished', onRequestEnd);
+  page.on('requestfailed', onRequestEnd);
+
+  const hasElement = async (selector) => {
+    try {
+      return Boolean(await page.$(selector));
+    } catch {
+      return false; // context destroyed mid-navigation
+    }
+  };
+
+  const stop = () => {
+    page.off('framenavigated', onNavigated);
+    page.off('request', onRequestStart);
+    page.off('requestfinished', onRequestEnd);
+    page.off('requestfailed', onRequestEnd);
+  };
+
+  return {
+    stop,
+    // Resolves with how the page settled: the strategy name, 'max-hops', 'max-duration' or 'page-closed'
+    async wait() {
+      let lastUrl = page.url();
+      let lastUrlChange = Date.now();
+      try {
+        for (;;) {
+          const now = Date.now();
+          const url = page.url();
+          if (url !== lastUrl) {
+            lastUrl = url;
+            lastUrlChange = now;
+          }
+
+          let settled = false;
+          switch (options.strategy) {
+            case 'network-idle':
+              settled = inflight === 0 && now - lastNetworkActivity >= options.idleMs;
+              break;
+            case 'url-stable':
+              settled = now - lastUrlChange >= options.stableMs;
+              break;
+            case 'selector':
+              settled = await hasElement(options.selector);
+              break;
+            case 'url-match':
+              settled = matchesUrlPattern(url, options.urlPattern);
+              break;
+            default:
+              settled = await hasElement('body');
+          }
+
+          const result = { strategy: options.strategy, hops, waitedMs: Date.now() - startedAt };
+          // Closed under us, e.g. the client disconnected and the resolution was cancelled
+          if (page.isClosed()) return { ...result, settledBy: 'page-closed' };
+          if (settled) return { ...result, settledBy: options.strategy };
+          if (hops >= options.maxHops) return { ...result, settledBy: 'max-hops' };
+          if (now - startedAt >= options.maxDuration) return { ...result, settledBy: 'max-duration' };
+
+          await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+        }
+      } finally {
+        stop();
+      }
+    },
+  };
+}
@@ -0,0 +1,126 @@
+// services/tracking-params.js
+// Admin-managed registry of the tracking parameters we look for in final URLs.
+// Names and aliases match query keys exactly, so "clickid" never matches "xclickid".
+import { readJsonFile, saveJsonFile, RegistryError } from './json-store.js';
+
+const REGISTRY_FILE = 'tracking-params.json';
+
+// Seed registry, same parameters the old has* flags checked
+const DEFAULT_TRACKING_PARAMS = [
+  { name: 'clickid', aliases: ['clickId', 'click_id'], network: null, required: false },
+  { name: 'clickref', aliases: [], network: 'Awin', required: false },
+  { name: 'utm_source', aliases: [], network: null, required: false },
+  { name: 'im_ref', aliases: [], network: 'Impact', required: false },
+  { name: 'mkt_source', aliases: [], network: null, required: false },
+  { name: 'tduid', aliases: [], network: 'TradeDoubler', required: false },
+  { name: 'publisherId', aliases: ['publisherid', 'publisher_id'], network: null, required: false },
+];
+
+const PARAM_NAME_PATTERN = /^[\w.\-[\]]{1,100}$/;
+
+let registry = await loadRegistry();
+
+async function loadRegistry() {
+  try {
+    return await readJsonFile(REGISTRY_FILE, DEFAULT_TRACKING_PARAMS);
+  } catch (err) {
+    console.error('[ERROR] Failed to load tracking parameter registry, using defaults:', err.message);
+    return DEFAULT_TRACKING_PARAMS;
+  }
+}
+
+function saveRegistry() {
+  return saveJsonFile(REGISTRY_FILE, registry);
+}
+
+// Validate and normalize an entry from the admin API
+function normalizeEntry(entry = {}) {
+  const { name, aliases = [], network = null, required = false } = entry;
+  if (typeof name !== 'string' || !PARAM_NAME_PATTERN.test(name)) {
+    throw new RegistryError(`Invalid parameter name: ${name}`);
+  }
+  if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !PARAM_NAME_PATTERN.test(alias))) {
+    throw new RegistryError(`Invalid aliases for ${name}, expected an array of parameter names`);
+  }
+  if (network !== null && typeof network !== 'string') {
+    throw new RegistryError(`Invalid network for ${name}`);
+  }
+  if (typeof required !== 'boolean') {
+    throw new RegistryError(`Invalid required flag for ${name}, expected true or false`);
+  }
+  return {
+    name,
+    aliases: [...new Set(aliases.filter(alias => alias !== name))],
+    network: network?.trim() || null,
+    required,
+  };
+}
+
+// Helper: a query key may belong to only one entry
+function assertNoConflicts(entry, ignoreName = null) {
+  const keys = [entry.name, ...entry.aliases];
+  const conflict = registry.find(other =>
+    other.name !== ignoreName && [other.name, ...other.aliases].some(key => keys.includes(key))
+  );
+  if (conflict) {
+    throw new RegistryError(`Parameter ${entry.name} overlaps with existing entry ${conflict.name}`, 409);
+  }
+}
+
+export function getTrackingParams() {
+  return structuredClone(registry);
+}
+
+export async function addTrackingParam(entry) {
+  const normalized = normalizeEntry(entry);
+  assertNoConflicts(normalized);
+  registry = [...registry, normalized];
+  await saveRegistry();
+  return normalized;
+}
+
+export async function updateTrackingParam(name, changes) {
+  const existing = registry.find(entry => entry.name === name);
+  if (!existing) throw new RegistryError(`Unknown tracking parameter: ${name}`, 404);
+
+  const normalized = normalizeEntry({ ...existing, ...changes });
+  assertNoConflicts(normalized, name);
+  registry = registry.map(entry => (entry.name === name ? normalized : entry));
+  await saveRegistry();
+  return normalized;
+}
+
+export async function removeTrackingParam(name) {
+  if (!registry.some(entry => entry.name === name)) {
+    throw new RegistryError(`Unknown tracking parameter: ${name}`, 404);
+  }
+  registry = registry.filter(entry => entry.name !== name);
+  await saveRegistry();
+}
+
+// Every query parameter of a URL; repeated keys become arrays
+export function parseQueryParams(url) {
+  const params = Object.create(null);
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return params;
+  }
+  for (const [key, value] of parsed.searchParams) {
+    params[key] = key in params ? [].concat(params[key], value) : value;
+  }
+  return params;
+}
+
+// Presence and value of every registered parameter in a final URL
+export function analyzeTrackingParams(url) {
+  const params = url ? parseQueryParams(url) : Object.create(null);
+  const trackingParams = registry.map(({ name, aliases, network, required }) => {
+    const matchedAs = [name, ...aliases].find(key => key in params) || null;
+    const value = matchedAs ? [].concat(params[matchedAs])[0] : null;
+    return { name, network, required, present: Boolean(matchedAs), value, matchedAs };
+  });
+  const missingParams = trackingParams.filter(p => p.required && !p.present).map(p => p.name);
+  return { params: { ...params }, trackingParams, missingParams };
+}
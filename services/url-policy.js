@@ -0,0 +1,145 @@
+// services/url-policy.js
+// Where resolutions may go. Every hop (HTTP and browser) must be http(s), pass the admin domain
+// allowlist/denylist and resolve to a public address, so a redirect can't walk us into the internal network.
+import 'dotenv/config';
+import dns from 'dns';
+import net from 'net';
+import { readJsonFile, saveJsonFile, RegistryError } from './json-store.js';
+
+const POLICY_FILE = 'domain-policy.json';
+// Local development resolves against localhost test pages; never set this in production
+const ALLOW_PRIVATE_TARGETS = process.env.ALLOW_PRIVATE_TARGETS === 'true';
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+const DOMAIN_RE = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges.
+// IPv4-mapped IPv6 (::ffff:a.b.c.d) is checked against the IPv4 ranges; a ::ffff:0:0/96 entry would match every IPv4 address
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// A hop broke the policy; resolutions report it as the blocked_url error type
+export class BlockedUrlError extends Error {
+  constructor(url, reason) {
+    super(`Blocked ${url}: ${reason}`);
+    this.name = 'BlockedUrlError';
+    this.url = url;
+    this.reason = reason;
+  }
+}
+
+let policy = await loadPolicy();
+
+async function loadPolicy() {
+  try {
+    return normalizePolicy(await readJsonFile(POLICY_FILE, { allow: [], deny: [] }));
+  } catch (err) {
+    console.error('[ERROR] Failed to load domain policy, no domains are allowlisted or denied:', err.message);
+    return { allow: [], deny: [] };
+  }
+}
+
+// "*.example.com", ".example.com" and "example.com" all mean the domain and its subdomains
+function normalizePolicy(input = {}) {
+  if (typeof input !== 'object' || Array.isArray(input)) throw new RegistryError('Domain policy must be an object');
+  const normalized = {};
+  ['allow', 'deny'].forEach(list => {
+    const entries = input[list] || [];
+    if (!Array.isArray(entries)) throw new RegistryError(`${list} must be a list of domains`);
+    normalized[list] = [...new Set(entries.map(entry => {
+      const domain = String(entry).trim().toLowerCase().replace(/^\*?\./, '');
+      if (!DOMAIN_RE.test(domain)) throw new RegistryError(`Invalid domain in ${list}: ${entry}`);
+      return domain;
+    }))];
+  });
+  return normalized;
+}
+
+export function getDomainPolicy() {
+  return { ...structuredClone(policy), allowPrivateTargets: ALLOW_PRIVATE_TARGETS };
+}
+
+export async function updateDomainPolicy(input) {
+  policy = normalizePolicy(input);
+  await saveJsonFile(POLICY_FILE, policy);
+  return getDomainPolicy();
+}
+
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+const matchesDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+// A landing page asks for the same few hosts over and over, so verdicts are kept for a minute
+const ADDRESS_CACHE_MS = 60 * 1000;
+const ADDRESS_CACHE_MAX = 1000;
+const addressVerdicts = new Map(); // hostname → { reason, expiresAt }
+
+// Helper: why this host's addresses are off limits; a name that doesn't resolve is left to fail on its own
+async function checkAddresses(hostname) {
+  if (ALLOW_PRIVATE_TARGETS) return null;
+  if (net.isIP(hostname)) return isPrivateAddress(hostname) ? `${hostname} is a private address` : null;
+
+  const cached = addressVerdicts.get(hostname);
+  if (cached && cached.expiresAt > Date.now()) return cached.reason;
+
+  const addresses = await dns.promises.lookup(hostname, { all: true }).catch(() => []);
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  const reason = blocked ? `${hostname} resolves to private address ${blocked.address}` : null;
+  if (addressVerdicts.size >= ADDRESS_CACHE_MAX) addressVerdicts.delete(addressVerdicts.keys().next().value);
+  addressVerdicts.set(hostname, { reason, expiresAt: Date.now() + ADDRESS_CACHE_MS });
+  return reason;
+}
+
+// Why url may not be loaded, or null when it may. Navigation hops get the full policy;
+// subresources a landing page loads (CDNs, pixels) only need to stay off private addresses
+export async function getBlockReason(url, { navigation = true } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'invalid URL';
+  }
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    // data: and blob: subresources never leave the browser
+    return navigation ? `${parsed.protocol} URLs are not allowed` : null;
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (navigation) {
+    const denied = policy.deny.find(domain => matchesDomain(hostname, domain));
+    if (denied) return `${hostname} is on the denylist (${denied})`;
+    // An allowlist, once it has entries, is the only way in
+    if (policy.allow.length > 0 && !policy.allow.some(domain => matchesDomain(hostname, domain))) {
+      return `${hostname} is not on the allowlist`;
+    }
+  }
+  return checkAddresses(hostname);
+}
+
+export async function assertUrlAllowed(url) {
+  const reason = await getBlockReason(url);
+  if (reason) throw new BlockedUrlError(url, reason);
+}
+
+// dns.lookup replacement for direct connections: checks the address actually connected to,
+// so a host can't pass the policy check and then re-resolve to an internal address
+export function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err || ALLOW_PRIVATE_TARGETS) return callback(err, address, family);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new BlockedUrlError(hostname, `${hostname} resolves to private address ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+}
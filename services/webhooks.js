@@ -0,0 +1,314 @@
+// services/webhooks.js
+// Outbound webhooks: users subscribe a URL to resolution events, every delivery is HMAC-signed,
+// retried with exponential backoff and kept in a delivery log.
+import 'dotenv/config';
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import { readJsonFile, saveJsonFile, RegistryError } from './json-store.js';
+import { getBlockReason, guardedLookup } from './url-policy.js';
+
+const WEBHOOKS_FILE = 'webhooks.json';
+const DELIVERIES_FILE = 'webhook-deliveries.json';
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const CONCURRENCY = Number(process.env.WEBHOOK_CONCURRENCY) || 5;
+const MAX_DELIVERIES = Number(process.env.WEBHOOK_MAX_DELIVERIES) || 1000;
+const MAX_RESPONSE_BYTES = 1024;
+
+export const WEBHOOK_EVENTS = [
+  'resolution_failed',      // no final URL, or a broken landing page
+  'final_url_changed',      // a monitored campaign lands somewhere else than on its last check
+  'tracking_param_missing', // required registry params (or params a monitored campaign used to carry) are gone
+  'geo_mismatch',           // the exit IP wasn't in the requested region
+];
+// 'own': resolutions and campaigns of the webhook's owner; 'all' (admins only): everyone's
+const SCOPES = ['own', 'all'];
+
+let webhooks = await readJsonFile(WEBHOOKS_FILE, []).catch(err => {
+  console.error('[ERROR] Failed to load webhooks:', err.message);
+  return [];
+});
+let deliveries = await readJsonFile(DELIVERIES_FILE, []).catch(err => {
+  console.error('[ERROR] Failed to load webhook deliveries:', err.message);
+  return [];
+});
+let saveTimer = null;
+
+function saveWebhooks() {
+  return saveJsonFile(WEBHOOKS_FILE, webhooks);
+}
+
+// Deliveries change on every attempt, so the log is written at most once a second
+function saveDeliveriesSoon() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveJsonFile(DELIVERIES_FILE, deliveries)
+      .catch(err => console.error('[ERROR] Failed to save webhook deliveries:', err.message));
+  }, 1000);
+}
+
+// Helper: validate what a user may set on a webhook; partial for updates
+function normalizeWebhook(input = {}, user, { partial = false } = {}) {
+  const normalized = {};
+  if (!partial || input.url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(String(input.url).trim());
+    } catch {
+      throw new RegistryError('Invalid URL format');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new RegistryError('Webhook URL must be http or https');
+    normalized.url = parsed.href;
+  }
+  if (!partial || input.name !== undefined) normalized.name = String(input.name || '').trim().slice(0, 100);
+  if (!partial || input.events !== undefined) {
+    const events = Array.isArray(input.events) ? [...new Set(input.events)] : [];
+    const unknown = events.find(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown || events.length === 0) {
+      throw new RegistryError(`Invalid events, expected one or more of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    normalized.events = events;
+  }
+  if (!partial || input.scope !== undefined) {
+    const scope = input.scope || 'own';
+    if (!SCOPES.includes(scope)) throw new RegistryError(`Invalid scope, expected one of: ${SCOPES.join(', ')}`);
+    if (scope === 'all' && user?.role !== 'admin') throw new RegistryError('Only admins can subscribe to everyone\'s events', 403);
+    normalized.scope = scope;
+  }
+  if (!partial || input.enabled !== undefined) normalized.enabled = input.enabled !== false;
+  return normalized;
+}
+
+const canSee = (item, user) => user?.role === 'admin' || item.ownerId === user?.id;
+
+function findWebhook(id, user) {
+  const webhook = webhooks.find(w => w.id === id);
+  if (!webhook || !canSee(webhook, user)) throw new RegistryError('Webhook not found', 404);
+  return webhook;
+}
+
+// The secret is shown to the owner so the receiving end can verify signatures
+export function listWebhooks(user) {
+  return structuredClone(webhooks.filter(webhook => canSee(webhook, user)));
+}
+
+export async function addWebhook(input, user) {
+  const webhook = {
+    id: crypto.randomUUID(),
+    ownerId: user.id,
+    ...normalizeWebhook(input, user),
+    secret: crypto.randomBytes(32).toString('hex'),
+    createdAt: new Date().toISOString(),
+  };
+  webhooks = [...webhooks, webhook];
+  await saveWebhooks();
+  return structuredClone(webhook);
+}
+
+// rotateSecret: true issues a new signing secret
+export async function updateWebhook(id, input, user) {
+  const webhook = findWebhook(id, user);
+  const updated = { ...webhook, ...normalizeWebhook(input, user, { partial: true }) };
+  if (input.rotateSecret === true) updated.secret = crypto.randomBytes(32).toString('hex');
+  webhooks = webhooks.map(w => (w.id === id ? updated : w));
+  await saveWebhooks();
+  return structuredClone(updated);
+}
+
+export async function removeWebhook(id, user) {
+  findWebhook(id, user);
+  webhooks = webhooks.filter(w => w.id !== id);
+  await saveWebhooks();
+}
+
+// Newest first, without the payloads; users see deliveries of their own webhooks, admins everyone's
+export function getDeliveries(user, { webhookId = null, limit = 100 } = {}) {
+  return deliveries
+    .filter(delivery => canSee(delivery, user) && (!webhookId || delivery.webhookId === webhookId))
+    .slice(-limit)
+    .reverse()
+    .map(({ payload, ...delivery }) => ({ ...delivery, eventId: payload.id }));
+}
+
+export function getDelivery(id, user) {
+  const delivery = deliveries.find(d => d.id === id);
+  if (!delivery || !canSee(delivery, user)) throw new RegistryError('Delivery not found', 404);
+  return structuredClone(delivery);
+}
+
+// Receivers verify with HMAC-SHA256(secret, `${t}.${body}`) and should reject old timestamps to stop replays
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Helper: one signed POST; resolves with { statusCode, responseBody }, rejects on network errors and timeouts
+function postSigned(url, secret, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method: 'POST',
+      timeout: TIMEOUT_MS,
+      lookup: guardedLookup, // the receiver has to stay off internal addresses too
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'trace-to-end-webhooks/1.0',
+        'X-Webhook-Id': delivery.webhookId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`,
+      },
+    }, (res) => {
+      let responseBody = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        if (responseBody.length < MAX_RESPONSE_BYTES) responseBody += chunk;
+      });
+      res.on('end', () => resolve({ statusCode: res.statusCode, responseBody: responseBody.slice(0, MAX_RESPONSE_BYTES) }));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`Webhook receiver did not answer within ${TIMEOUT_MS} ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Deliveries wait here until one of the CONCURRENCY slots is free
+const ready = [];
+let active = 0;
+
+function enqueue(delivery) {
+  ready.push(delivery);
+  pump();
+}
+
+function pump() {
+  while (active < CONCURRENCY && ready.length > 0) {
+    const delivery = ready.shift();
+    active++;
+    attemptDelivery(delivery)
+      .catch(err => console.error(`[ERROR] Webhook delivery ${delivery.id} crashed:`, err.message))
+      .finally(() => {
+        active--;
+        pump();
+      });
+  }
+}
+
+// Backoff doubles after every failed attempt: 30s, 1m, 2m, 4m with the defaults
+export const retryDelayMs = (attempt) => RETRY_BASE_MS * 2 ** (attempt - 1);
+
+async function attemptDelivery(delivery) {
+  const webhook = webhooks.find(w => w.id === delivery.webhookId);
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, durationMs: null, error: null, responseBody: null };
+  let retry = true;
+
+  if (!webhook) {
+    attempt.error = 'Webhook was removed';
+    retry = false;
+  } else {
+    // Re-checked on every attempt: the receiver's name may point somewhere else by now
+    const blockReason = await getBlockReason(webhook.url, { navigation: false });
+    if (blockReason) {
+      attempt.error = `Blocked: ${blockReason}`;
+      retry = false;
+    } else {
+      try {
+        const { statusCode, responseBody } = await postSigned(webhook.url, webhook.secret, delivery);
+        attempt.statusCode = statusCode;
+        attempt.responseBody = responseBody || null;
+        if (statusCode < 200 || statusCode >= 300) attempt.error = `Receiver responded with ${statusCode}`;
+      } catch (err) {
+        attempt.error = err.message;
+      }
+    }
+  }
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = attempt.at;
+    delivery.nextAttemptAt = null;
+  } else if (retry && delivery.attempts.length < MAX_ATTEMPTS) {
+    const delay = retryDelayMs(delivery.attempts.length);
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    console.log(`🔁 Webhook ${delivery.event} to ${webhook.url} failed (${attempt.error}), retrying in ${delay} ms`);
+    setTimeout(() => enqueue(delivery), delay).unref();
+  } else {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    console.error(`[ERROR] Webhook ${delivery.event} ${delivery.id} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+  }
+  saveDeliveriesSoon();
+  return delivery;
+}
+
+function createDelivery(webhook, payload) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    webhookId: webhook.id,
+    ownerId: webhook.ownerId,
+    event: payload.event,
+    url: webhook.url,
+    payload,
+    status: 'pending',
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: new Date().toISOString(),
+    deliveredAt: null,
+  };
+  deliveries = [...deliveries, delivery].slice(-MAX_DELIVERIES);
+  return delivery;
+}
+
+// Fan an event out to every enabled webhook that wants it. ownerId is the user the resolution
+// or campaign belongs to (null for anonymous ones); 'all' scope webhooks hear about everything
+export function emitWebhookEvent(event, data, ownerId = null) {
+  const targets = webhooks.filter(webhook => webhook.enabled
+    && webhook.events.includes(event)
+    && (webhook.scope === 'all' || (ownerId !== null && webhook.ownerId === ownerId)));
+  if (targets.length === 0) return;
+
+  const payload = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data };
+  targets.forEach(webhook => enqueue(createDelivery(webhook, payload)));
+  saveDeliveriesSoon();
+}
+
+// A 'ping' event to check the receiver and its signature verification; answers after the first attempt
+export async function sendTestEvent(id, user) {
+  const webhook = findWebhook(id, user);
+  const payload = {
+    id: crypto.randomUUID(),
+    event: 'ping',
+    createdAt: new Date().toISOString(),
+    data: { webhookId: webhook.id, events: webhook.events },
+  };
+  const delivery = createDelivery(webhook, payload);
+  return structuredClone(await attemptDelivery(delivery));
+}
+
+// Send a logged delivery's payload again as a new delivery, same event id so receivers can dedupe
+export async function redeliver(id, user) {
+  const original = getDelivery(id, user);
+  const webhook = findWebhook(original.webhookId, user);
+  const delivery = createDelivery(webhook, original.payload);
+  return structuredClone(await attemptDelivery(delivery));
+}
+
+// Pick up deliveries a restart interrupted
+deliveries
+  .filter(delivery => delivery.status === 'pending' || delivery.status === 'retrying')
+  .forEach(delivery => {
+    const delay = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+    setTimeout(() => enqueue(delivery), delay).unref();
+  });
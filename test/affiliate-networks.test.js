@@ -0,0 +1,65 @@
+// test/affiliate-networks.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// A custom rule in DATA_DIR comes before the built-in ones
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-to-end-'));
+fs.writeFileSync(path.join(process.env.DATA_DIR, 'affiliate-networks.json'), JSON.stringify([
+  { network: 'InHouse', hosts: ['go.inhouse.example'], landingParams: ['ih_click'], ids: { clickId: ['ih_click'] } },
+  { network: 'TradeDoubler', hosts: ['td.override.example'] },
+]));
+const { detectNetwork, detectAffiliateNetworks, registerNetworkRule, getNetworkRules } = await import('../services/affiliate-networks.js');
+
+test('detects networks by tracking host, including subdomains', () => {
+  assert.deepEqual(detectNetwork('https://www.awin1.com/cread.php?awinmid=1234&awinaffid=5678'), {
+    network: 'Awin', matchedBy: 'host', publisherId: '5678', advertiserId: '1234',
+  });
+  assert.equal(detectNetwork('https://click.linksynergy.com/deeplink?id=abc&mid=42').network, 'Rakuten');
+  assert.equal(detectNetwork('https://notawin1.com/'), null);
+  assert.equal(detectNetwork('not a url'), null);
+});
+
+test('pulls IDs out of path patterns, query params win', () => {
+  assert.deepEqual(detectNetwork('https://www.anrdoezrs.net/click-8123456-13579246'), {
+    network: 'CJ', matchedBy: 'host', publisherId: '8123456', adId: '13579246',
+  });
+  assert.deepEqual(detectNetwork('https://brand.sjv.io/c/1234567/890123/4567?irclickid=xyz'), {
+    network: 'Impact', matchedBy: 'host', publisherId: '1234567', advertiserId: '4567', clickId: 'xyz', adId: '890123',
+  });
+  assert.deepEqual(detectNetwork('https://prf.hn/click/camref:1100l3Bxz/pubref:abc/destination:x'), {
+    network: 'Partnerize', matchedBy: 'host', publisherId: '1100l3Bxz', clickId: 'abc',
+  });
+});
+
+test('falls back to landing params only that network sets', () => {
+  assert.deepEqual(detectNetwork('https://shop.example/p?cjevent=evt1'), { network: 'CJ', matchedBy: 'param', clickId: 'evt1' });
+  assert.equal(detectNetwork('https://shop.example/p?utm_source=x'), null);
+});
+
+test('custom rules are loaded first and win over built-in ones', () => {
+  assert.deepEqual(detectNetwork('https://shop.example/?ih_click=42'), { network: 'InHouse', matchedBy: 'param', clickId: '42' });
+  assert.equal(detectNetwork('https://td.override.example/').network, 'TradeDoubler');
+  assert.equal(detectNetwork('https://clk.tradedoubler.com/click?a=1'), null, 'the built-in TradeDoubler rule was replaced');
+  assert.deepEqual(getNetworkRules().find(rule => rule.network === 'TradeDoubler').hosts, ['td.override.example']);
+  assert.equal(registerNetworkRule({ network: 'CJ', hosts: ['other.example'] }), false);
+  assert.equal(registerNetworkRule({ hosts: ['nameless.example'] }), false);
+});
+
+test('the first network in the chain is the campaign\'s, IDs merged over its hops', () => {
+  const chain = [
+    { url: 'https://www.awin1.com/cread.php?awinmid=1234&awinaffid=5678' },
+    { url: 'https://www.anrdoezrs.net/click-1-2' },
+    { url: 'https://shop.example/?awc=click99' },
+  ];
+  const { chain: hops, affiliate } = detectAffiliateNetworks(chain, 'https://shop.example/?awc=click99');
+  assert.deepEqual(hops.map(hop => hop.network?.network ?? null), ['Awin', 'CJ', 'Awin']);
+  assert.deepEqual(affiliate, {
+    network: 'Awin', networks: ['Awin', 'CJ'], publisherId: '5678', advertiserId: '1234', clickId: 'click99', adId: null,
+  });
+  assert.deepEqual(detectAffiliateNetworks([], null).affiliate, {
+    network: null, networks: [], publisherId: null, advertiserId: null, clickId: null, adId: null,
+  });
+});
@@ -0,0 +1,107 @@
+// test/campaign-monitor.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-to-end-'));
+process.env.MONITOR_TICK_SECONDS = '0.02';
+process.env.MONITOR_CONCURRENCY = '2';
+const {
+  addMonitor, removeMonitor, listMonitors, getChanges, runMonitorNow, startCampaignMonitor, detectChanges, monitorEvents,
+} = await import('../services/campaign-monitor.js');
+
+const owner = { id: 3, role: 'user' };
+const admin = { id: 1, role: 'admin' };
+
+async function waitFor(check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+const result = (finalUrl, params = {}, extra = {}) => ({
+  finalUrl,
+  landingStatus: 'healthy',
+  trackingParams: Object.entries(params).map(([name, value]) => ({ name, value, present: true })),
+  ...extra,
+});
+
+const summary = (finalUrl, { trackingParams = [], clickId = null, landingStatus = 'healthy' } = {}) => {
+  if (!finalUrl) return { finalUrl: null, error: 'timeout', errorType: 'timeout', trackingParams: [], paramNames: [] };
+  const parsed = new URL(finalUrl);
+  return {
+    finalUrl, host: parsed.host, path: parsed.pathname, paramNames: [...parsed.searchParams.keys()].sort(),
+    trackingParams, clickId, landingStatus,
+  };
+};
+
+test('detectChanges only reports failures and bad landings without a baseline', () => {
+  assert.deepEqual(detectChanges(null, summary('https://shop.example/?a=1')), []);
+  assert.deepEqual(detectChanges(null, summary(null)).map(c => c.type), ['resolution_failed']);
+  assert.deepEqual(detectChanges(null, summary('https://parked.example/', { landingStatus: 'parked' })).map(c => c.type), ['broken_landing']);
+});
+
+test('detectChanges compares hosts, paths, parameter names and click ids, not values', () => {
+  const before = summary('https://shop.example/p?clickid=1&utm_source=x', { trackingParams: ['clickid', 'utm_source'], clickId: '1' });
+  assert.deepEqual(detectChanges(before, summary('https://shop.example/p?clickid=2&utm_source=y', { trackingParams: ['clickid', 'utm_source'], clickId: '2' })), []);
+  assert.deepEqual(detectChanges(before, summary('https://shop.example/q?clickid=2&utm_source=y', { trackingParams: ['clickid', 'utm_source'], clickId: '2' })).map(c => c.type), ['final_url_changed']);
+  assert.deepEqual(
+    detectChanges(before, summary('https://other.example/p', { trackingParams: [] })),
+    [
+      { type: 'new_domain', from: 'shop.example', to: 'other.example' },
+      { type: 'lost_clickid', from: '1' },
+      { type: 'lost_params', params: ['utm_source'] },
+    ],
+  );
+  assert.deepEqual(detectChanges(before, summary(null)).map(c => c.type), ['resolution_failed']);
+  assert.deepEqual(detectChanges(summary(null), before).map(c => c.type), ['recovered']);
+});
+
+test('a manual check records changes against the previous one and flags the campaign', async () => {
+  const monitor = await addMonitor({ url: 'https://ads.example/c/1', region: 'de' }, owner);
+  const emitted = [];
+  const onChange = change => emitted.push(change);
+  monitorEvents.on('change', onChange);
+  try {
+    await runMonitorNow(monitor.id, owner, async () => result('https://shop.example/p?clickid=abc', { clickid: 'abc' }));
+    assert.deepEqual(emitted, [], 'the first check is the baseline');
+
+    const checked = await runMonitorNow(monitor.id, owner, async () => result('https://elsewhere.example/p'));
+    assert.deepEqual(checked.flags, ['new_domain', 'lost_clickid']);
+    assert.deepEqual(emitted.map(c => c.type), ['new_domain', 'lost_clickid']);
+    assert.equal(emitted[0].region, 'DE');
+    assert.deepEqual(getChanges(owner, { monitorId: monitor.id }).map(c => c.type).sort(), ['lost_clickid', 'new_domain']);
+    assert.deepEqual(getChanges({ id: 4, role: 'user' }, { monitorId: monitor.id }), []);
+  } finally {
+    monitorEvents.off('change', onChange);
+    await removeMonitor(monitor.id, owner);
+  }
+});
+
+test('the scheduler checks due campaigns, never more than MONITOR_CONCURRENCY at once', async () => {
+  const pending = [];
+  startCampaignMonitor(monitor => new Promise(resolve => pending.push({ monitor, resolve })));
+  const monitors = await Promise.all(['a', 'b', 'c'].map(name => addMonitor({ url: `https://${name}.example/` }, owner)));
+
+  await waitFor(() => pending.length === 2);
+  await new Promise(resolve => setTimeout(resolve, 100)); // a few more ticks
+  assert.equal(pending.length, 2);
+  await assert.rejects(runMonitorNow(pending[0].monitor.id, owner, async () => result('https://x.example/')), { status: 409 });
+
+  pending.splice(0, 2).forEach(({ monitor, resolve }) => resolve(result(`${monitor.url}landing`)));
+  await waitFor(() => pending.length === 1);
+  pending[0].resolve(result(`${pending[0].monitor.url}landing`));
+
+  await waitFor(() => listMonitors(admin).every(m => m.lastCheckedAt));
+  for (const monitor of listMonitors(owner)) {
+    assert.equal(monitor.last.finalUrl, `${monitor.url}landing`);
+    // Checked once, not again until the interval is up
+    assert.ok(Date.parse(monitor.nextRunAt) > Date.now() + 59 * 60000);
+  }
+  assert.equal(pending.length, 1);
+  await Promise.all(monitors.map(monitor => removeMonitor(monitor.id, owner)));
+});
@@ -0,0 +1,67 @@
+// test/comparison-report.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildComparisonReport } from '../services/comparison-report.js';
+
+const landing = 'https://shop.example/offer?clickid=1&utm_source=aff';
+
+test('identical outcomes share a group, the biggest one is the baseline', () => {
+  const report = buildComparisonReport('https://track.example/go', [
+    { region: 'US', uaType: 'desktop', result: { finalUrl: landing } },
+    { region: 'US', uaType: 'mobile', result: { finalUrl: 'https://shop.example/offer?utm_source=aff&clickid=1' } },
+    { region: 'GB', uaType: 'desktop', result: { finalUrl: 'https://shop.example/offer?clickid=1&utm_source=aff&lang=en' } },
+  ]);
+
+  assert.deepEqual(report.regions, ['US', 'GB']);
+  assert.deepEqual(report.uaTypes, ['desktop', 'mobile']);
+  assert.equal(report.baseline, 'A');
+  assert.deepEqual(report.groups.map(group => [group.id, group.cells.length]), [['A', 2], ['B', 1]]);
+  assert.deepEqual(report.matrix.map(row => row.group), ['A', 'A', 'B'], 'parameter order does not make an outcome different');
+  assert.deepEqual(report.groups[0].diff.params, { added: {}, removed: [], changed: {} });
+  assert.deepEqual(report.matrix[2].diff, { hostChanged: false, pathChanged: false, params: { added: { lang: 'en' }, removed: [], changed: {} } });
+  assert.deepEqual(report.highlights, { domainChanges: [], lostParams: [], failures: [] });
+});
+
+test('domain changes, lost parameters and failures are called out', () => {
+  const report = buildComparisonReport('https://track.example/go', [
+    { region: 'US', uaType: 'desktop', result: { finalUrl: landing, landingStatus: 'healthy', affiliate: { network: 'Awin' } } },
+    { region: 'US', uaType: 'mobile', result: { finalUrl: landing, missingParams: ['subid'] } },
+    { region: 'DE', uaType: 'desktop', result: { finalUrl: 'https://shop.example.de/angebot?clickid=2', actualRegion: 'DE', regionMatch: true } },
+    { region: 'FR', uaType: 'desktop', result: { error: 'net::ERR_TIMED_OUT', errorType: 'timeout' } },
+    { region: 'JP', uaType: 'desktop', result: { error: 'Queue is full' } },
+  ]);
+
+  const de = report.matrix[2];
+  assert.equal(de.group, 'B');
+  assert.deepEqual(de.diff, {
+    hostChanged: true,
+    pathChanged: true,
+    params: { added: {}, removed: ['utm_source'], changed: { clickid: { from: '1', to: '2' } } },
+  });
+  assert.equal(de.actualRegion, 'DE');
+  assert.equal(report.matrix[0].affiliateNetwork, 'Awin');
+  assert.equal(report.matrix[0].landingStatus, 'healthy');
+
+  assert.deepEqual(report.highlights.domainChanges, [{ region: 'DE', uaType: 'desktop', host: 'shop.example.de', baselineHost: 'shop.example' }]);
+  assert.deepEqual(report.highlights.lostParams, [
+    { region: 'US', uaType: 'mobile', params: ['subid'] },
+    { region: 'DE', uaType: 'desktop', params: ['utm_source'] },
+  ]);
+  assert.deepEqual(report.highlights.failures, [
+    { region: 'FR', uaType: 'desktop', errorType: 'timeout', error: 'net::ERR_TIMED_OUT' },
+    { region: 'JP', uaType: 'desktop', errorType: null, error: 'Queue is full' },
+  ]);
+  assert.deepEqual(report.groups.map(group => group.id), ['A', 'B', 'C', 'D'], 'failed outcomes sort after the final URLs');
+  assert.equal(report.matrix[3].diff, null);
+});
+
+test('when nothing resolved there is no baseline to diff against', () => {
+  const report = buildComparisonReport('https://track.example/go', [
+    { region: 'US', uaType: 'desktop', result: { error: 'boom', errorType: 'network' } },
+    { region: 'GB', uaType: 'desktop', result: { error: 'boom', errorType: 'network' } },
+  ]);
+  assert.equal(report.baseline, null);
+  assert.equal(report.groups.length, 1);
+  assert.equal(report.groups[0].error, 'boom');
+  assert.equal(report.highlights.failures.length, 2);
+});
@@ -0,0 +1,81 @@
+// test/http-resolver.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-to-end-'));
+process.env.ALLOW_PRIVATE_TARGETS = 'true'; // the pages below are served from localhost
+const { resolveWithHttp } = await import('../services/http-resolver.js');
+const { updateDomainPolicy } = await import('../services/url-policy.js');
+
+const html = body => ({ status: 200, headers: { 'Content-Type': 'text/html' }, body });
+const PAGES = {
+  '/start': () => ({ status: 302, headers: { Location: '/hop', 'Set-Cookie': 'visit=1; Path=/' } }),
+  '/hop': () => ({ status: 301, headers: { Location: '/landing?clickid=abc' } }),
+  '/landing': () => html('<html><body><h1>Offer</h1><p>A landing page with enough text to be a real page.</p></body></html>'),
+  '/cookie-check': req => (req.headers.cookie === 'visit=1' ? html('<p>welcome back</p>') : { status: 400 }),
+  '/via-cookie': () => ({ status: 302, headers: { Location: '/cookie-check', 'Set-Cookie': 'visit=1' } }),
+  '/meta': () => html('<html><head><meta http-equiv="refresh" content="0;url=/landing"></head></html>'),
+  '/js': () => html('<html><body><p>Redirecting you to the offer page now, please wait a moment while we load it.</p><script>window.location.href = "/landing";</script></body></html>'),
+  '/spa': () => html('<html><body><div id="app"></div><script src="/bundle.js"></script></body></html>'),
+  '/bot-wall': () => ({ status: 403 }),
+  '/loop': () => ({ status: 302, headers: { Location: '/loop' } }),
+  '/to-denied': req => ({ status: 302, headers: { Location: `http://localhost:${req.socket.localPort}/landing` } }),
+};
+const server = http.createServer((req, res) => {
+  const page = PAGES[new URL(req.url, 'http://x').pathname];
+  const { status, headers = {}, body = '' } = page ? page(req) : { status: 404 };
+  res.writeHead(status, headers).end(body);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+after(() => server.close());
+
+test('follows 3xx hops to a landing page that needs no browser', async () => {
+  const result = await resolveWithHttp(`${base}/start`);
+  assert.equal(result.finalUrl, `${base}/landing?clickid=abc`);
+  assert.deepEqual(result.chain.map(hop => [hop.status, hop.redirectType]), [[302, '3xx'], [301, '3xx'], [200, null]]);
+  assert.equal(result.escalate, null);
+  assert.match(result.landingHtml, /<h1>Offer<\/h1>/);
+});
+
+test('carries cookies a hop sets to the next request', async () => {
+  const result = await resolveWithHttp(`${base}/via-cookie`);
+  assert.equal(result.chain.at(-1).status, 200);
+});
+
+test('hands pages that redirect client-side over to the browser', async () => {
+  assert.equal((await resolveWithHttp(`${base}/meta`)).escalate, 'meta-refresh');
+  assert.equal((await resolveWithHttp(`${base}/js`)).escalate, 'javascript-redirect');
+  assert.equal((await resolveWithHttp(`${base}/spa`)).escalate, 'javascript-page');
+});
+
+test('hands bot walls, loops and request errors over to the browser', async () => {
+  const wall = await resolveWithHttp(`${base}/bot-wall`);
+  assert.equal(wall.escalate, 'status-403');
+  assert.equal(wall.finalUrl, `${base}/bot-wall`);
+
+  const loop = await resolveWithHttp(`${base}/loop`, { maxHops: 5 });
+  assert.equal(loop.escalate, 'too-many-redirects');
+  assert.equal(loop.chain.length, 5);
+
+  const closed = await resolveWithHttp('http://127.0.0.1:1/');
+  assert.equal(closed.escalate, 'request-error');
+  assert.ok(closed.error);
+});
+
+test('stops at a hop the URL policy blocks, without escalating', async () => {
+  try {
+    await updateDomainPolicy({ deny: ['localhost'], allow: [] });
+    const result = await resolveWithHttp(`${base}/to-denied`);
+    assert.equal(result.finalUrl, null);
+    assert.equal(result.escalate, undefined);
+    assert.match(result.blocked.reason, /denylist/);
+    assert.equal(result.chain.length, 1);
+  } finally {
+    await updateDomainPolicy({ deny: [], allow: [] });
+  }
+});
@@ -0,0 +1,73 @@
+// test/interception-policy.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { parseInterceptionPolicy, applyInterceptionPolicy } from '../services/interception-policy.js';
+
+// Just enough of a puppeteer page: requests are emitted by hand and record what the policy did with them
+function fakePage() {
+  const page = new EventEmitter();
+  const mainFrame = {};
+  page.mainFrame = () => mainFrame;
+  page.setRequestInterception = async () => {};
+  page.createCDPSession = async () => Object.assign(new EventEmitter(), { send: async () => {}, detach: async () => {} });
+  page.request = (url, resourceType, { navigation = false } = {}) => {
+    const request = {
+      outcome: null,
+      url: () => url,
+      resourceType: () => resourceType,
+      isNavigationRequest: () => navigation,
+      frame: () => mainFrame,
+      isInterceptResolutionHandled: () => false,
+      abort: async () => { request.outcome = 'blocked'; },
+      continue: async () => { request.outcome = 'allowed'; },
+    };
+    page.emit('request', request);
+    return request;
+  };
+  return page;
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('URL patterns beat resource types, allowed patterns beat blocked ones', async () => {
+  const policy = parseInterceptionPolicy({
+    intercept: 'pixel-safe',
+    blockUrls: '*.Analytics.example/*,cdn.example/*.png',
+    allowUrls: 'cdn.example/keep/*',
+  });
+  const page = fakePage();
+  const interception = await applyInterceptionPolicy(page, policy);
+
+  const requests = [
+    page.request('https://shop.example/', 'document', { navigation: true }),
+    page.request('https://tag.analytics.example/pixel.gif', 'image'),
+    page.request('https://cdn.example/img/hero.png', 'image'),
+    page.request('https://cdn.example/keep/logo.png', 'image'),
+    page.request('https://cdn.example/site.css', 'stylesheet'),
+    page.request('https://cdn.example/app.js', 'script'),
+  ];
+  await settle();
+  assert.deepEqual(requests.map(request => request.outcome), ['allowed', 'blocked', 'blocked', 'allowed', 'blocked', 'allowed']);
+  assert.deepEqual(await interception.stop(), { preset: 'pixel-safe', requests: 3, blocked: 3, bytes: 0 });
+});
+
+test('a pattern that would backtrack badly as a regex is still matched in a blink', async () => {
+  const policy = parseInterceptionPolicy({ blockUrls: `${'*a'.repeat(90)}*b` });
+  const page = fakePage();
+  await applyInterceptionPolicy(page, policy);
+
+  const startedAt = Date.now();
+  const request = page.request(`https://x.example/${'a'.repeat(5000)}`, 'script');
+  await settle();
+  assert.equal(request.outcome, 'allowed');
+  assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('policies are validated', () => {
+  assert.equal(parseInterceptionPolicy({}), null);
+  assert.throws(() => parseInterceptionPolicy({ intercept: 'everything' }), /Invalid intercept preset/);
+  assert.throws(() => parseInterceptionPolicy({ blockTypes: 'image,gifs' }), /Invalid resource type: gifs/);
+  assert.throws(() => parseInterceptionPolicy({ blockUrls: 'x'.repeat(201) }), /limited to 200 characters/);
+  assert.throws(() => parseInterceptionPolicy('pixel-safe', { method: 'http' }), /needs the browser/);
+});
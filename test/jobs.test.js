@@ -0,0 +1,86 @@
+// test/jobs.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { createJob, cancelJob, streamJobAsNdjson } from '../services/jobs.js';
+import { CancelledError } from '../services/resolution-errors.js';
+
+// Just enough of an http.ServerResponse for the streamer
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.body = '';
+  res.ended = false;
+  res.write = (chunk) => { res.body += chunk; return true; };
+  res.end = (chunk = '') => { res.body += chunk; res.ended = true; res.emit('finish'); };
+  return res;
+}
+
+const finished = res => new Promise(resolve => res.once('finish', resolve));
+
+test('cancelling a job stops the running items and reports the queued ones it never started', async () => {
+  const items = [{ url: 'https://a.example/' }, { url: 'https://b.example/' }, { url: 'https://c.example/' }];
+  const started = [];
+  const skipped = [];
+  const job = createJob(items, (item, signal) => {
+    started.push(item.url);
+    return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new CancelledError())));
+  }, { concurrency: 1, onCancelled: item => skipped.push(item.url) });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(cancelJob(job), true);
+  await new Promise(resolve => job.events.once('done', resolve));
+  assert.deepEqual(started, ['https://a.example/']);
+  assert.deepEqual(skipped, ['https://b.example/', 'https://c.example/']);
+  assert.equal(job.status, 'cancelled');
+  assert.deepEqual(job.items.map(item => item.status), ['cancelled', 'cancelled', 'cancelled']);
+  assert.equal(job.cancelled, 3);
+  assert.equal(cancelJob(job), false, 'a finished job cannot be cancelled again');
+});
+
+test('a batch streams one JSON line per item, then a done line', async () => {
+  const items = [{ url: 'https://a.example/' }, { url: 'https://b.example/\nline' }, { url: 'https://c.example/' }];
+  const job = createJob(items, async (item) => {
+    if (item.url.startsWith('https://b.')) throw new Error('broken');
+    return { finalUrl: item.url };
+  }, { concurrency: 2 });
+  const res = fakeResponse();
+  streamJobAsNdjson(job, res);
+  await finished(res);
+
+  assert.ok(res.body.endsWith('\n'));
+  const lines = res.body.split('\n').slice(0, -1).map(line => JSON.parse(line));
+  assert.equal(lines.length, items.length + 1);
+
+  const itemLines = lines.slice(0, -1).sort((a, b) => a.index - b.index);
+  assert.deepEqual(itemLines.map(line => line.status), ['completed', 'failed', 'completed']);
+  assert.deepEqual(itemLines[0], { index: 0, status: 'completed', input: items[0], result: { finalUrl: items[0].url }, error: null });
+  assert.equal(itemLines[1].input.url, items[1].url, 'a newline inside a value stays escaped on its line');
+  assert.equal(itemLines[1].error, 'broken');
+
+  const done = lines.at(-1);
+  assert.equal(done.done, true);
+  assert.equal(done.id, job.id);
+  assert.equal(done.status, 'completed');
+  assert.deepEqual(done.progress, { total: 3, completed: 2, failed: 1, cancelled: 0, remaining: 0 });
+  assert.equal(done.items, undefined, 'the done line carries no results, the item lines had them');
+});
+
+test('the client going away cancels the rest of the batch', async (t) => {
+  t.mock.method(console, 'log', () => {}); // the cancellation notice would land in the test runner's output
+  let started = 0;
+  const job = createJob([{ url: 'https://a.example/' }, { url: 'https://b.example/' }], (item, signal) => {
+    started++;
+    return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+  }, { concurrency: 1 });
+  const res = fakeResponse();
+  streamJobAsNdjson(job, res);
+  await new Promise(resolve => setImmediate(resolve));
+
+  res.emit('close');
+  await new Promise(resolve => job.events.once('done', resolve));
+  assert.equal(job.controller.signal.aborted, true);
+  assert.equal(job.status, 'cancelled');
+  assert.equal(started, 1, 'queued items never start');
+  assert.equal(res.body, '', 'nothing is written after the client left');
+  assert.equal(res.ended, false);
+});
@@ -0,0 +1,61 @@
+// test/landing-health.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-to-end-'));
+const { checkLandingHealth, getLandingRules, updateLandingRules } = await import('../services/landing-health.js');
+const { readJsonFile } = await import('../services/json-store.js');
+
+const page = (title, body) => `<html><head><title>${title}</title></head><body>${body}</body></html>`;
+
+test('without a final URL there is nothing to judge', () => {
+  assert.deepEqual(checkLandingHealth({ finalUrl: null, httpStatus: 404 }), { landingStatus: null, landingCheck: null });
+});
+
+test('an error status is broken whatever the page says', () => {
+  const { landingStatus, landingCheck } = checkLandingHealth({ finalUrl: 'https://shop.example/', httpStatus: 503, html: page('Shop', 'Welcome') });
+  assert.equal(landingStatus, 'broken');
+  assert.deepEqual(landingCheck, { httpStatus: 503, title: 'Shop', reason: 'HTTP 503' });
+});
+
+test('a normal page, or one we could not read, is healthy', () => {
+  const healthy = checkLandingHealth({ finalUrl: 'https://shop.example/', httpStatus: 200, html: page('Summer sale', 'Shoes and bags') });
+  assert.deepEqual(healthy, { landingStatus: 'healthy', landingCheck: { httpStatus: 200, title: 'Summer sale', reason: null } });
+  assert.equal(checkLandingHealth({ finalUrl: 'https://shop.example/', httpStatus: 200 }).landingStatus, 'healthy');
+});
+
+test('content rules catch parked, expired and soft-404 pages', () => {
+  const check = html => checkLandingHealth({ finalUrl: 'https://x.example/', httpStatus: 200, html }).landingCheck.reason;
+  const status = html => checkLandingHealth({ finalUrl: 'https://x.example/', httpStatus: 200, html }).landingStatus;
+
+  const parked = page('x.example', '<p>This   domain is <b>for SALE</b>!</p><p>Buy this domain today</p>');
+  assert.equal(status(parked), 'parked');
+  assert.equal(check(parked), 'keyword "this domain is for sale"', 'markup, spacing and case do not hide a keyword');
+  assert.equal(check(page('Welcome', '<script src="https://sedoparking.com/js"></script>')), 'signature "sedoparking.com"');
+  assert.equal(status(page('Welcome', '<p>Sorry, this offer has expired.</p>')), 'expired');
+  assert.equal(check(page('404 - Nothing here', 'Try the home page')), 'title matches /\\b404\\b/');
+  assert.equal(status(page('Shop', '<script>var text = "page not found";</script>Shoes')), 'healthy', 'script contents are not visible text');
+});
+
+test('rules are validated, saved and used right away', async () => {
+  const defaults = getLandingRules();
+  try {
+    await assert.rejects(updateLandingRules({ parked: { titlePatterns: ['(unclosed'] } }), /Invalid title pattern for parked/);
+    await assert.rejects(updateLandingRules({ broken: { keywords: ['ok', ' '] } }), /Invalid broken.keywords/);
+    assert.deepEqual(getLandingRules(), defaults, 'a rejected update changes nothing');
+
+    const updated = await updateLandingRules({ expired: { keywords: [' Sold out ', 'Sold out'] } });
+    assert.deepEqual(updated.expired, { keywords: ['Sold out'], titlePatterns: [], signatures: [] });
+    assert.deepEqual(updated.parked, { keywords: [], titlePatterns: [], signatures: [] });
+    assert.deepEqual(await readJsonFile('landing-rules.json', null), updated);
+
+    const soldOut = checkLandingHealth({ finalUrl: 'https://x.example/', httpStatus: 200, html: page('Shop', 'All SOLD OUT') });
+    assert.equal(soldOut.landingStatus, 'expired');
+    assert.equal(checkLandingHealth({ finalUrl: 'https://x.example/', httpStatus: 200, html: page('Shop', 'Buy this domain') }).landingStatus, 'healthy');
+  } finally {
+    await updateLandingRules(defaults);
+  }
+});
@@ -0,0 +1,82 @@
+// test/request-coalescer.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCoalescer } from '../services/request-coalescer.js';
+import { CancelledError } from '../services/resolution-errors.js';
+
+// A task that runs until the test settles it, and sees whether its signal was aborted
+function controlledTask() {
+  const control = { runs: 0, signal: null };
+  const done = new Promise((resolve, reject) => Object.assign(control, { resolve, reject }));
+  control.task = (signal) => {
+    control.runs++;
+    control.signal = signal;
+    return done;
+  };
+  return control;
+}
+
+test('identical requests in flight share one run and the same result', async () => {
+  const coalescer = createCoalescer();
+  const run = controlledTask();
+  const first = coalescer.run('key', run.task);
+  const second = coalescer.run('key', run.task);
+  const other = coalescer.run('other', async () => ({ finalUrl: 'https://other.example/' }));
+  await new Promise(resolve => setImmediate(resolve));
+
+  const result = { finalUrl: 'https://shop.example/' };
+  run.resolve(result);
+  const [a, b] = await Promise.all([first, second]);
+  assert.equal(run.runs, 1);
+  assert.equal(a.coalesced, false);
+  assert.equal(b.coalesced, true);
+  assert.equal(a.value, result);
+  assert.equal(b.value, result, 'joiners get the very same object');
+  assert.equal((await other).value.finalUrl, 'https://other.example/');
+  assert.deepEqual(coalescer.getStats(), { inFlight: 0, waiting: 0, started: 2, coalesced: 1, cancelled: 0 });
+});
+
+test('a settled run is not reused, errors reach every waiter', async () => {
+  const coalescer = createCoalescer();
+  const failing = controlledTask();
+  const calls = [coalescer.run('key', failing.task), coalescer.run('key', failing.task)];
+  failing.reject(new Error('boom'));
+  for (const call of calls) await assert.rejects(call, /boom/);
+
+  const next = await coalescer.run('key', async () => 'again');
+  assert.deepEqual(next, { value: 'again', coalesced: false });
+});
+
+test('the shared run is only cancelled once every caller has gone away', async () => {
+  const coalescer = createCoalescer();
+  const run = controlledTask();
+  const callers = [new AbortController(), new AbortController()];
+  const calls = callers.map(controller => coalescer.run('key', run.task, controller.signal));
+  await new Promise(resolve => setImmediate(resolve));
+
+  callers[0].abort();
+  await assert.rejects(calls[0], CancelledError);
+  assert.equal(run.signal.aborted, false, 'the other caller still wants the result');
+
+  callers[1].abort();
+  await assert.rejects(calls[1], CancelledError);
+  assert.equal(run.signal.aborted, true);
+  assert.equal(coalescer.getStats().cancelled, 1);
+
+  // The abandoned run no longer takes new callers
+  const fresh = await coalescer.run('key', async () => 'fresh');
+  assert.deepEqual(fresh, { value: 'fresh', coalesced: false });
+  run.resolve('late');
+});
+
+test('a caller whose signal already aborted leaves at once and the run it opened is aborted', async () => {
+  const coalescer = createCoalescer();
+  const controller = new AbortController();
+  controller.abort();
+  const run = controlledTask();
+  await assert.rejects(coalescer.run('key', run.task, controller.signal), CancelledError);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(run.signal.aborted, true);
+  assert.equal(coalescer.getStats().cancelled, 1);
+  assert.equal(coalescer.getStats().inFlight, 0);
+});
@@ -0,0 +1,77 @@
+// test/resolution-errors.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.RETRY_POLICIES = JSON.stringify({ target_5xx: { maxAttempts: 4 } });
+const {
+  classifyErrorMessage, classifyResult, isFatal, getBackoffMs, shouldRetry, cancellableDelay, CancelledError,
+} = await import('../services/resolution-errors.js');
+
+test('classifyErrorMessage maps puppeteer and Node messages to error types', () => {
+  const cases = {
+    'net::ERR_TUNNEL_CONNECTION_FAILED at https://x.example': 'proxy_auth',
+    'Unexpected server response: 407': 'proxy_auth',
+    'getaddrinfo ENOTFOUND nowhere.example': 'dns_error',
+    'net::ERR_NAME_NOT_RESOLVED at https://nowhere.example': 'dns_error',
+    'net::ERR_CERT_DATE_INVALID at https://x.example': 'tls_error',
+    'Navigation timeout of 60000 ms exceeded': 'navigation_timeout',
+    'Request to x.example timed out': 'navigation_timeout',
+    'connect ECONNREFUSED 10.0.0.1:443': 'connection_error',
+    'socket hang up': 'connection_error',
+    'Something odd happened': 'unknown',
+  };
+  Object.entries(cases).forEach(([message, type]) => assert.equal(classifyErrorMessage(message), type, message));
+});
+
+test('classifyResult explains pages that never got anywhere', () => {
+  assert.equal(classifyResult({ finalUrl: null, blocked: { reason: 'denied' } }, 'US'), 'blocked_url');
+  assert.equal(classifyResult({ error: 'getaddrinfo ENOTFOUND x.example' }, 'US'), 'dns_error');
+  assert.equal(classifyResult({ finalUrl: 'chrome-error://chromewebdata/', navigationError: 'net::ERR_NAME_NOT_RESOLVED' }, 'US'), 'dns_error');
+  assert.equal(classifyResult({ finalUrl: 'about:blank', navigationError: 'net::ERR_CONNECTION_RESET' }, 'US'), 'connection_error');
+  assert.equal(classifyResult({ finalUrl: 'about:blank', navigationError: 'Navigation timeout of 60000 ms exceeded' }, 'US'), 'chrome_error_page');
+  assert.equal(classifyResult({ finalUrl: 'chrome-error://chromewebdata/' }, 'US'), 'chrome_error_page');
+});
+
+test('classifyResult keeps a real final URL despite a late navigation error', () => {
+  const result = { finalUrl: 'https://shop.example/', navigationError: 'net::ERR_ABORTED', chain: [{ status: 200 }], ipData: { country_code: 'us' } };
+  assert.equal(classifyResult(result, 'US'), null);
+});
+
+test('classifyResult flags landing statuses and exit regions', () => {
+  const base = { finalUrl: 'https://shop.example/', ipData: { country_code: 'US' } };
+  assert.equal(classifyResult({ ...base, chain: [{ status: 302 }, { status: 404 }] }, 'US'), 'target_4xx');
+  assert.equal(classifyResult({ ...base, chain: [{ status: 502 }] }, 'US'), 'target_5xx');
+  assert.equal(classifyResult({ ...base, chain: [{ status: 200 }] }, 'gb'), 'geo_mismatch');
+  assert.equal(classifyResult({ finalUrl: 'https://shop.example/', chain: [{ status: 200 }] }, 'US'), null);
+  assert.equal(classifyResult({ finalUrl: 'https://shop.example/', chain: [{ status: 200 }] }, 'US', { strictRegion: true }), 'geo_mismatch');
+});
+
+test('only types without a usable final URL are fatal', () => {
+  ['proxy_auth', 'dns_error', 'chrome_error_page', 'tls_error', 'connection_error', 'blocked_url'].forEach(type => assert.ok(isFatal(type), type));
+  ['navigation_timeout', 'target_4xx', 'target_5xx', 'geo_mismatch', 'unknown', null].forEach(type => assert.ok(!isFatal(type), type));
+});
+
+test('retries follow each type\'s policy with doubling, capped backoff', () => {
+  assert.equal(shouldRetry(null, 1), false);
+  assert.equal(shouldRetry('proxy_auth', 1), false);
+  assert.equal(shouldRetry('blocked_url', 1), false);
+  assert.deepEqual([1, 2, 3].map(attempt => shouldRetry('connection_error', attempt)), [true, true, false]);
+  assert.deepEqual([1, 2, 3].map(attempt => getBackoffMs('connection_error', attempt)), [1000, 2000, 4000]);
+  assert.equal(getBackoffMs('target_5xx', 10), 30000);
+  // Types without a policy of their own use the unknown one
+  assert.equal(shouldRetry('something_new', 1), true);
+  assert.equal(getBackoffMs('something_new', 1), 1000);
+});
+
+test('RETRY_POLICIES overrides single types', () => {
+  assert.deepEqual([3, 4].map(attempt => shouldRetry('target_5xx', attempt)), [true, false]);
+  assert.equal(getBackoffMs('target_5xx', 1), 2000, 'the backoff not overridden stays the default');
+});
+
+test('cancellableDelay gives up when the signal aborts', async () => {
+  const controller = new AbortController();
+  const delay = cancellableDelay(60000, controller.signal);
+  controller.abort();
+  await assert.rejects(delay, CancelledError);
+  await cancellableDelay(1);
+});
@@ -0,0 +1,86 @@
+// test/resolution-queue.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResolutionQueue, QueueFullError } from '../services/resolution-queue.js';
+import { CancelledError } from '../services/resolution-errors.js';
+
+// A task that runs until the test lets it finish
+function deferredTask(log, name) {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  return {
+    task: () => { log.push(name); return done.then(() => name); },
+    finish: () => finish(),
+  };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('never runs more than the global and per-region limits at once', async () => {
+  const queue = createResolutionQueue({ globalConcurrency: 3, regionConcurrency: 2 });
+  const started = [];
+  const tasks = ['us1', 'us2', 'us3', 'gb1', 'gb2'].map(name => ({ name, ...deferredTask(started, name) }));
+  const results = tasks.map(({ name, task }) => queue.run({ region: name.slice(0, 2) }, task));
+  await tick();
+
+  assert.deepEqual(started, ['us1', 'us2', 'gb1'], 'a third US task waits while other regions fill the rest');
+  assert.deepEqual(queue.getStats().runningPerRegion, { US: 2, GB: 1 });
+  assert.equal(queue.getStats().queued, 2);
+
+  tasks[0].finish();
+  await results[0];
+  await tick();
+  assert.deepEqual(started, ['us1', 'us2', 'gb1', 'us3']);
+
+  tasks.forEach(({ finish }) => finish());
+  assert.deepEqual(await Promise.all(results), ['us1', 'us2', 'us3', 'gb1', 'gb2']);
+  assert.equal(queue.getStats().completed, 5);
+});
+
+test('hands free slots to users in turn', async () => {
+  const queue = createResolutionQueue({ globalConcurrency: 1, regionConcurrency: 1 });
+  const started = [];
+  const blocker = deferredTask(started, 'blocker');
+  const first = queue.run({ userId: 'a' }, blocker.task);
+  const enqueue = (userId, names) => names.map(name => queue.run({ userId }, () => { started.push(name); return name; }));
+  const queued = [...enqueue('a', ['a1', 'a2', 'a3']), ...enqueue('b', ['b1', 'b2'])];
+
+  blocker.finish();
+  await Promise.all([first, ...queued]);
+  assert.deepEqual(started, ['blocker', 'a1', 'b1', 'a2', 'b2', 'a3'], 'b does not wait behind the rest of a\'s batch');
+});
+
+test('rejects with a position and ETA once the backlog is full', async () => {
+  const queue = createResolutionQueue({ globalConcurrency: 1, regionConcurrency: 1, maxQueued: 1 });
+  const running = deferredTask([], 'running');
+  const first = queue.run({}, running.task);
+  const waiting = queue.run({}, async () => 'waiting');
+
+  const err = await queue.run({}, async () => 'refused').catch(e => e);
+  assert.ok(err instanceof QueueFullError);
+  assert.equal(err.queuePosition, 2);
+  assert.ok(err.etaSeconds > 0);
+  assert.equal(queue.getStats().rejected, 1);
+
+  running.finish();
+  assert.deepEqual(await Promise.all([first, waiting]), ['running', 'waiting']);
+});
+
+test('an aborted signal drops a waiting task without running it', async () => {
+  const queue = createResolutionQueue({ globalConcurrency: 1, regionConcurrency: 1 });
+  const running = deferredTask([], 'running');
+  const first = queue.run({}, running.task);
+  const controller = new AbortController();
+  let ran = false;
+  const waiting = queue.run({ signal: controller.signal }, async () => { ran = true; });
+
+  controller.abort();
+  await assert.rejects(waiting, CancelledError);
+  assert.equal(queue.getStats().queued, 0);
+  assert.equal(queue.getStats().cancelled, 1);
+  await assert.rejects(queue.run({ signal: controller.signal }, async () => {}), CancelledError);
+
+  running.finish();
+  await first;
+  assert.equal(ran, false);
+});
@@ -0,0 +1,54 @@
+// test/result-cache.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+delete process.env.REDIS_URL; // the in-memory cache
+const {
+  normalizeUrl, buildCacheKey, parseCacheOptions, getCachedResult, setCachedResult, MAX_CACHE_TTL,
+} = await import('../services/result-cache.js');
+
+const resolvedAgo = (seconds, finalUrl = 'https://shop.example/') => ({
+  finalUrl,
+  cache: { hit: false, ttl: 0, cachedAt: new Date(Date.now() - seconds * 1000).toISOString() },
+});
+
+test('equivalent URLs share a key, options that change the outcome do not', () => {
+  assert.equal(normalizeUrl('HTTPS://Shop.Example:443/p?b=2&a=1#top'), 'https://shop.example/p?a=1&b=2');
+  const base = { url: 'https://shop.example/p?a=1&b=2', region: 'us', uaType: 'desktop', method: 'auto' };
+  assert.equal(buildCacheKey(base), buildCacheKey({ ...base, url: 'https://SHOP.example/p?b=2&a=1', region: 'US' }));
+  [{ region: 'GB' }, { uaType: 'mobile' }, { method: 'http' }, { strictRegion: true }, { settle: { strategy: 'url-stable' } }, { intercept: { preset: 'render' } }]
+    .forEach(change => assert.notEqual(buildCacheKey(base), buildCacheKey({ ...base, ...change }), JSON.stringify(change)));
+});
+
+test('parseCacheOptions validates cacheTtl and reads fresh', () => {
+  assert.deepEqual(parseCacheOptions({}), { cacheTtl: 0, fresh: false });
+  assert.deepEqual(parseCacheOptions({ cacheTtl: '3600', fresh: 'true' }), { cacheTtl: 3600, fresh: true });
+  assert.throws(() => parseCacheOptions({ cacheTtl: -1 }), /Invalid cacheTtl/);
+  assert.throws(() => parseCacheOptions({ cacheTtl: 1.5 }), /Invalid cacheTtl/);
+  assert.throws(() => parseCacheOptions({ cacheTtl: MAX_CACHE_TTL + 1 }), /Invalid cacheTtl/);
+});
+
+test('entries are only stored with a TTL and expire after it', async () => {
+  await setCachedResult('no-ttl', resolvedAgo(0), 0);
+  assert.equal(await getCachedResult('no-ttl'), null);
+
+  await setCachedResult('short', resolvedAgo(0), 1);
+  assert.equal((await getCachedResult('short')).finalUrl, 'https://shop.example/');
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  assert.equal(await getCachedResult('short'), null);
+});
+
+test('a short-TTL request does not get an entry a longer-TTL campaign cached earlier', async () => {
+  // Cached two hours ago by a campaign that keeps results for a week
+  await setCachedResult('shared', resolvedAgo(2 * 60 * 60), MAX_CACHE_TTL);
+
+  assert.equal(await getCachedResult('shared', { maxAgeSeconds: 60 }), null);
+  assert.equal(await getCachedResult('shared', { maxAgeSeconds: 3 * 60 * 60 }).then(v => v.finalUrl), 'https://shop.example/');
+  assert.ok(await getCachedResult('shared'), 'the entry itself stays for the campaign that asked for a week');
+});
+
+test('returned entries are copies', async () => {
+  await setCachedResult('copy', resolvedAgo(0), 60);
+  (await getCachedResult('copy')).finalUrl = 'changed';
+  assert.equal((await getCachedResult('copy')).finalUrl, 'https://shop.example/');
+});
@@ -0,0 +1,96 @@
+// test/settle-strategies.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { parseSettleOptions, matchesUrlPattern, watchSettle, SETTLE_LIMITS } from '../services/settle-strategies.js';
+
+// Just enough of a puppeteer Page for watchSettle
+function fakePage(url = 'https://start.example/') {
+  const page = new EventEmitter();
+  const mainFrame = {};
+  page.currentUrl = url;
+  page.elements = new Set();
+  page.url = () => page.currentUrl;
+  page.mainFrame = () => mainFrame;
+  page.isClosed = () => false;
+  page.$ = async selector => (page.elements.has(selector) ? {} : null);
+  page.navigate = (next) => {
+    page.currentUrl = next;
+    page.emit('framenavigated', mainFrame);
+  };
+  return page;
+}
+
+test('parseSettleOptions fills defaults and validates the strategy', () => {
+  assert.deepEqual(parseSettleOptions({}), {
+    strategy: 'dom', idleMs: 500, stableMs: 2000, selector: null, urlPattern: null, maxHops: 10, maxDuration: 30000,
+  });
+  assert.throws(() => parseSettleOptions({ settle: 'forever' }), /Invalid settle strategy/);
+  assert.throws(() => parseSettleOptions({ settle: 'selector' }), /needs a selector/);
+  assert.throws(() => parseSettleOptions({ settle: 'url-match' }), /needs a urlPattern/);
+  assert.throws(() => parseSettleOptions({ idleMs: -1 }), /Invalid idleMs/);
+  assert.throws(() => parseSettleOptions({ maxDuration: 'soon' }), /Invalid maxDuration/);
+});
+
+test('parseSettleOptions clamps client values to SETTLE_LIMITS', () => {
+  const options = parseSettleOptions({ settle: 'network-idle', idleMs: '1e9', stableMs: 1e9, maxHops: 1000, maxDuration: 1e12 });
+  assert.equal(options.idleMs, SETTLE_LIMITS.idleMs);
+  assert.equal(options.stableMs, SETTLE_LIMITS.stableMs);
+  assert.equal(options.maxHops, SETTLE_LIMITS.maxHops);
+  assert.equal(options.maxDuration, SETTLE_LIMITS.maxDuration);
+  assert.throws(() => parseSettleOptions({ maxHops: 0 }), /at least 1/);
+  assert.throws(() => parseSettleOptions({ settle: 'url-match', urlPattern: 'x'.repeat(301) }), /longer than 300/);
+});
+
+test('matchesUrlPattern treats * as any run of characters, in order', () => {
+  assert.ok(matchesUrlPattern('https://shop.example/checkout?id=1', 'shop.example/checkout'));
+  assert.ok(matchesUrlPattern('https://shop.example/en/checkout', 'shop.example/*/checkout'));
+  assert.ok(matchesUrlPattern('https://a.example/', '*'));
+  assert.ok(!matchesUrlPattern('https://shop.example/checkout', 'checkout*shop'));
+  assert.ok(!matchesUrlPattern('https://shop.example/', 'shop.example/*/checkout'));
+  // Regex characters are plain text
+  assert.ok(matchesUrlPattern('https://x.example/?a=1', '?a=1'));
+  assert.ok(!matchesUrlPattern('https://x.example/ab', 'a.b'));
+});
+
+test('matchesUrlPattern stays fast on patterns that would backtrack as a regex', () => {
+  const started = Date.now();
+  assert.ok(!matchesUrlPattern('a'.repeat(5000), `${'*a'.repeat(100)}b`));
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('watchSettle waits for the URL to match', async () => {
+  const page = fakePage();
+  const watcher = watchSettle(page, parseSettleOptions({ settle: 'url-match', urlPattern: 'shop.example/*/thanks' }));
+  setTimeout(() => page.navigate('https://tracker.example/click'), 20);
+  setTimeout(() => page.navigate('https://shop.example/en/thanks'), 60);
+  const result = await watcher.wait();
+  assert.equal(result.settledBy, 'url-match');
+  assert.equal(result.hops, 2);
+  assert.equal(page.listenerCount('request'), 0, 'listeners are removed once settled');
+});
+
+test('watchSettle stops at maxHops and maxDuration', async () => {
+  const hopping = fakePage();
+  const hopWatcher = watchSettle(hopping, parseSettleOptions({ settle: 'selector', selector: '#never', maxHops: 2 }));
+  hopping.navigate('https://a.example/');
+  hopping.navigate('https://b.example/');
+  assert.equal((await hopWatcher.wait()).settledBy, 'max-hops');
+
+  const stuck = fakePage();
+  const timeWatcher = watchSettle(stuck, parseSettleOptions({ settle: 'selector', selector: '#never', maxDuration: 150 }));
+  const result = await timeWatcher.wait();
+  assert.equal(result.settledBy, 'max-duration');
+  assert.ok(result.waitedMs >= 150);
+});
+
+test('watchSettle waits for the network to go quiet', async () => {
+  const page = fakePage();
+  const watcher = watchSettle(page, parseSettleOptions({ settle: 'network-idle', idleMs: 100 }));
+  page.emit('request');
+  setTimeout(() => page.emit('requestfinished'), 150);
+  const started = Date.now();
+  const result = await watcher.wait();
+  assert.equal(result.settledBy, 'network-idle');
+  assert.ok(Date.now() - started >= 200, 'the open request and then the idle time were waited out');
+});
@@ -0,0 +1,57 @@
+// test/tracking-params.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-to-end-'));
+const {
+  getTrackingParams, addTrackingParam, updateTrackingParam, removeTrackingParam, parseQueryParams, analyzeTrackingParams,
+} = await import('../services/tracking-params.js');
+const { readJsonFile } = await import('../services/json-store.js');
+
+test('the registry starts with the parameters the old has* flags checked', () => {
+  assert.deepEqual(getTrackingParams().map(p => p.name), ['clickid', 'clickref', 'utm_source', 'im_ref', 'mkt_source', 'tduid', 'publisherId']);
+});
+
+test('parseQueryParams keeps every parameter and collects repeated keys', () => {
+  assert.deepEqual({ ...parseQueryParams('https://x.example/?a=1&b=2&a=3&empty=') }, { a: ['1', '3'], b: '2', empty: '' });
+  assert.deepEqual({ ...parseQueryParams('not a url') }, {});
+});
+
+test('analyzeTrackingParams matches names and aliases exactly', () => {
+  const { trackingParams, params } = analyzeTrackingParams('https://shop.example/?click_id=abc&xclickref=1&utm_source=news&utm_source=mail');
+  const byName = Object.fromEntries(trackingParams.map(p => [p.name, p]));
+  assert.deepEqual(byName.clickid, { name: 'clickid', network: null, required: false, present: true, value: 'abc', matchedAs: 'click_id' });
+  assert.equal(byName.clickref.present, false, 'xclickref is not clickref');
+  assert.equal(byName.utm_source.value, 'news', 'the first of repeated values');
+  assert.deepEqual(params.utm_source, ['news', 'mail']);
+  assert.ok(analyzeTrackingParams(null).trackingParams.every(p => !p.present));
+});
+
+test('required parameters that are missing are reported and entries are saved', async () => {
+  try {
+    await addTrackingParam({ name: 'subid', aliases: ['sub_id', 'subid'], network: ' CJ ', required: true });
+    assert.deepEqual(getTrackingParams().at(-1), { name: 'subid', aliases: ['sub_id'], network: 'CJ', required: true });
+    assert.deepEqual(analyzeTrackingParams('https://shop.example/?clickid=1').missingParams, ['subid']);
+    assert.deepEqual(analyzeTrackingParams('https://shop.example/?sub_id=1').missingParams, []);
+
+    await updateTrackingParam('subid', { required: false });
+    assert.deepEqual(analyzeTrackingParams('https://shop.example/').missingParams, []);
+    const saved = await readJsonFile('tracking-params.json', null);
+    assert.equal(saved.find(p => p.name === 'subid').required, false);
+  } finally {
+    await removeTrackingParam('subid').catch(() => {});
+  }
+  assert.equal(getTrackingParams().some(p => p.name === 'subid'), false);
+});
+
+test('invalid and overlapping entries are refused', async () => {
+  await assert.rejects(addTrackingParam({ name: 'bad name' }), { status: 400, message: /Invalid parameter name/ });
+  await assert.rejects(addTrackingParam({ name: 'ok', aliases: 'nope' }), /Invalid aliases/);
+  await assert.rejects(addTrackingParam({ name: 'ok', required: 'yes' }), /Invalid required flag/);
+  await assert.rejects(addTrackingParam({ name: 'cid', aliases: ['clickId'] }), { status: 409, message: /overlaps with existing entry clickid/ });
+  await assert.rejects(updateTrackingParam('nope', {}), { status: 404 });
+  await assert.rejects(removeTrackingParam('nope'), { status: 404 });
+});
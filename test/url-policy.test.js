@@ -0,0 +1,52 @@
+// test/url-policy.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-to-end-'));
+process.env.ALLOW_PRIVATE_TARGETS = 'false';
+const { getBlockReason, guardedLookup, updateDomainPolicy, BlockedUrlError } = await import('../services/url-policy.js');
+
+const lookup = (hostname, options) => new Promise((resolve, reject) => {
+  guardedLookup(hostname, options, (err, address, family) => (err ? reject(err) : resolve({ address, family })));
+});
+
+test('getBlockReason blocks private, loopback and metadata addresses', async () => {
+  for (const url of ['http://127.0.0.1/', 'http://10.1.2.3/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://0.0.0.0:8080/']) {
+    assert.match(await getBlockReason(url), /private address/, url);
+  }
+  assert.match(await getBlockReason('http://localhost:4000/'), /resolves to private address/);
+  assert.equal(await getBlockReason('https://8.8.8.8/'), null);
+});
+
+test('getBlockReason only allows http(s) navigation', async () => {
+  assert.equal(await getBlockReason('not a url'), 'invalid URL');
+  assert.match(await getBlockReason('file:///etc/passwd'), /file: URLs are not allowed/);
+  assert.match(await getBlockReason('data:text/html,hi'), /data: URLs are not allowed/);
+  // Subresources are left alone, they never leave the browser
+  assert.equal(await getBlockReason('data:image/png;base64,AA==', { navigation: false }), null);
+});
+
+test('getBlockReason applies the domain policy to navigation only', async () => {
+  try {
+    await updateDomainPolicy({ deny: ['*.example.com', '1.1.1.1'], allow: [] });
+    assert.match(await getBlockReason('https://shop.example.com/offer'), /denylist \(example\.com\)/);
+    assert.match(await getBlockReason('http://1.1.1.1/'), /denylist/);
+    assert.equal(await getBlockReason('http://1.1.1.1/pixel.gif', { navigation: false }), null);
+
+    await updateDomainPolicy({ deny: [], allow: ['8.8.8.8'] });
+    assert.equal(await getBlockReason('http://8.8.8.8/'), null);
+    assert.match(await getBlockReason('https://example.org/'), /not on the allowlist/);
+  } finally {
+    await updateDomainPolicy({ deny: [], allow: [] });
+  }
+});
+
+test('guardedLookup refuses names that resolve to private addresses', async () => {
+  await assert.rejects(lookup('localhost', {}), BlockedUrlError);
+  await assert.rejects(lookup('localhost', { all: true }), /resolves to private address/);
+  assert.deepEqual(await lookup('8.8.8.8', {}), { address: '8.8.8.8', family: 4 });
+  assert.deepEqual(await lookup('8.8.8.8', { all: true }), { address: [{ address: '8.8.8.8', family: 4 }], family: undefined });
+});
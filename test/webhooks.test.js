@@ -0,0 +1,86 @@
+// test/webhooks.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-to-end-'));
+process.env.ALLOW_PRIVATE_TARGETS = 'true'; // the receiver below listens on localhost
+process.env.WEBHOOK_RETRY_BASE_MS = '50';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+const { addWebhook, emitWebhookEvent, getDeliveries, retryDelayMs, signPayload } = await import('../services/webhooks.js');
+
+// Receiver that answers with the next status from its script, 200 once the script runs out
+const received = [];
+let script = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body, at: Date.now() });
+    res.writeHead(script.shift() ?? 200).end('ok');
+  });
+});
+await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+const receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+after(() => receiver.close());
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+const owner = { id: 7, role: 'user' };
+
+test('retry delays double from the base', () => {
+  assert.deepEqual([1, 2, 3, 4].map(retryDelayMs), [50, 100, 200, 400]);
+});
+
+test('a failing delivery is retried with backoff until it gets through', async () => {
+  received.length = 0;
+  script = [500, 503];
+  const webhook = await addWebhook({ url: receiverUrl, events: ['resolution_failed'] }, owner);
+  emitWebhookEvent('resolution_failed', { url: 'https://example.com/' }, owner.id);
+
+  await waitFor(() => getDeliveries(owner, { webhookId: webhook.id })[0]?.status === 'delivered');
+  const [delivery] = getDeliveries(owner, { webhookId: webhook.id });
+  assert.deepEqual(delivery.attempts.map(a => a.statusCode), [500, 503, 200]);
+  assert.deepEqual(delivery.attempts.map(a => a.error), ['Receiver responded with 500', 'Receiver responded with 503', null]);
+  assert.equal(received.length, 3);
+  assert.ok(received[1].at - received[0].at >= retryDelayMs(1), 'second attempt waited for the first delay');
+  assert.ok(received[2].at - received[1].at >= retryDelayMs(2), 'third attempt waited for the doubled delay');
+
+  // Every attempt is the same signed delivery
+  const { headers, body } = received[2];
+  const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+  assert.equal(signature, signPayload(webhook.secret, timestamp, body));
+  assert.equal(headers['x-webhook-delivery'], delivery.id);
+  assert.equal(new Set(received.map(r => r.headers['x-webhook-delivery'])).size, 1);
+  assert.equal(JSON.parse(body).event, 'resolution_failed');
+});
+
+test('a delivery gives up after WEBHOOK_MAX_ATTEMPTS', async () => {
+  received.length = 0;
+  script = [500, 500, 500, 500];
+  const webhook = await addWebhook({ url: receiverUrl, events: ['geo_mismatch'] }, owner);
+  emitWebhookEvent('geo_mismatch', { url: 'https://example.com/' }, owner.id);
+
+  await waitFor(() => getDeliveries(owner, { webhookId: webhook.id })[0]?.status === 'failed');
+  const [delivery] = getDeliveries(owner, { webhookId: webhook.id });
+  assert.equal(delivery.attempts.length, 3);
+  assert.equal(delivery.nextAttemptAt, null);
+  assert.equal(received.length, 3);
+});
+
+test('events only reach webhooks of the owner that subscribed to them', async () => {
+  const webhook = await addWebhook({ url: receiverUrl, events: ['final_url_changed'] }, owner);
+  emitWebhookEvent('final_url_changed', {}, 8);
+  emitWebhookEvent('tracking_param_missing', {}, owner.id);
+  emitWebhookEvent('final_url_changed', {}, null);
+  assert.equal(getDeliveries(owner, { webhookId: webhook.id }).length, 0);
+});